@@ -6,11 +6,21 @@ const rateLimit = require('express-rate-limit');
 const path = require('path');
 require('dotenv').config();
 
+const generationQueue = require('./lib/generationQueue');
+const imageStorage = require('./lib/storage');
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const avatarRoutes = require('./routes/avatars');
 const imageRoutes = require('./routes/images');
+const jobRoutes = require('./routes/jobs');
+const mediaRoutes = require('./routes/media');
+const modelRoutes = require('./routes/models');
+const presetRoutes = require('./routes/presets');
+const promptRoutes = require('./routes/prompts');
+const snippetRoutes = require('./routes/snippets');
 const userRoutes = require('./routes/users');
+const webhookRoutes = require('./routes/webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -29,9 +39,19 @@ const limiter = rateLimit({
 const imageLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 5, // limit each IP to 5 image generations per minute
-  message: 'Too many image generation requests, please try again later.'
+  message: 'Too many image generation requests, please try again later.',
+  // Nothing is generated by reads (history, an image, its lineage) or by the
+  // prompt preview requested as the prompt is typed; the per-IP limiter still applies
+  skip: (req) => req.method === 'GET' || req.path === '/preview-prompt'
 });
 
+// Images load from the storage backend's origins, plus any listed in
+// CSP_IMG_SRC (e.g. the previous backend's while images are migrated)
+const imageSources = [
+  ...imageStorage.origins,
+  ...(process.env.CSP_IMG_SRC?.split(',').map(source => source.trim()).filter(Boolean) || [])
+];
+
 // Middleware with custom CSP
 app.use(helmet({
   contentSecurityPolicy: {
@@ -39,7 +59,7 @@ app.use(helmet({
       defaultSrc: ["'self'"],
       scriptSrc: ["'self'", "'unsafe-inline'", "'unsafe-eval'"],
       styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
-      imgSrc: ["'self'", "data:", "https://raw.githubusercontent.com", "https://replicate.delivery"],
+      imgSrc: ["'self'", "data:", "https://replicate.delivery", ...imageSources],
       fontSrc: ["'self'", "https://fonts.gstatic.com"],
       connectSrc: ["'self'", "https://api.replicate.com", "https://replicate.delivery"],
       objectSrc: ["'none'"],
@@ -48,8 +68,15 @@ app.use(helmet({
     }
   }
 }));
-app.use(limiter);
 app.use(morgan('combined'));
+
+// Provider webhooks are signed and bypass the per-IP limiter and JSON body parser
+app.use('/api/webhooks', webhookRoutes);
+
+// Stored images load a gallery at a time, so they bypass the per-IP limiter too
+app.use('/api/media', mediaRoutes);
+
+app.use(limiter);
 app.use(cors({
   origin: process.env.CORS_ORIGINS?.split(',') || ['http://localhost:3000'],
   credentials: true
@@ -73,7 +100,12 @@ app.get('/favicon.ico', (req, res) => {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/avatars', avatarRoutes);
+app.use('/api/images/jobs', jobRoutes); // Polled by the Generate page, so not behind imageLimiter
 app.use('/api/images', imageLimiter, imageRoutes);
+app.use('/api/models', modelRoutes);
+app.use('/api/presets', presetRoutes);
+app.use('/api/prompts', promptRoutes);
+app.use('/api/snippets', snippetRoutes);
 app.use('/api/users', userRoutes);
 
 // Error handling middleware
@@ -94,4 +126,8 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV}`);
   console.log(`🌐 CORS enabled for: ${process.env.CORS_ORIGINS}`);
+
+  generationQueue.resume().catch(error => {
+    console.error('Failed to resume generation jobs:', error);
+  });
 }); 
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * Parse CSV text into rows of fields.
+ * Supports quoted fields with embedded commas, newlines and doubled quotes.
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(fields => fields.some(value => value.trim()));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name.
+ * Empty cells are omitted so they fall back to defaults.
+ */
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, '')); // Strip BOM from spreadsheet exports
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim().toLowerCase());
+
+  return rows.map(fields => Object.fromEntries(
+    columns
+      .map((column, index) => [column, (fields[index] || '').trim()])
+      .filter(([column, value]) => column && value !== '')
+  ));
+};
+
+module.exports = { parseCsv };
@@ -0,0 +1,35 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process pub/sub for generation job progress.
+ * The worker publishes, the SSE endpoint subscribes per job.
+ * Only reaches subscribers in the same server process.
+ */
+class GenerationEvents {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // One listener per open SSE connection
+  }
+
+  channel(jobId) {
+    return `job:${jobId.toString()}`;
+  }
+
+  /**
+   * Publish an event for a job
+   */
+  publish(jobId, type, data) {
+    this.emitter.emit(this.channel(jobId), { type, data });
+  }
+
+  /**
+   * Subscribe to a job's events; returns the unsubscribe function
+   */
+  subscribe(jobId, listener) {
+    const channel = this.channel(jobId);
+    this.emitter.on(channel, listener);
+    return () => this.emitter.off(channel, listener);
+  }
+}
+
+module.exports = new GenerationEvents();
@@ -0,0 +1,568 @@
+const prisma = require('./database');
+const generationEvents = require('./generationEvents');
+const provider = require('./providers');
+const imageStorage = require('./storage');
+const { getModel } = require('./models');
+const { serializeGeneratedImage } = require('./serializers');
+
+const POLL_INTERVAL_MS = 2000;
+// With webhooks, predictions are still checked now and then in case a delivery is lost
+const WEBHOOK_FALLBACK_POLL_MS = 60 * 1000;
+const TERMINAL_STATUSES = ['SUCCEEDED', 'FAILED', 'CANCELED'];
+
+// Diffusion step counter printed by the model, e.g. " 43%|████▎     | 12/28 [00:04<00:05,  2.97it/s]"
+const STEP_PROGRESS_PATTERN = /(\d+)\/(\d+) \[/g;
+
+// Seed announced by the model when none (or a random one) is requested
+const SEED_PATTERN = /Using seed: (-?\d+)/;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read the latest step counter from prediction logs as a 0-1 fraction
+ */
+const parseStepProgress = (logs) => {
+  const matches = [...(logs || '').matchAll(STEP_PROGRESS_PATTERN)];
+  if (matches.length === 0) {
+    return null;
+  }
+
+  const [, step, total] = matches[matches.length - 1];
+  return parseInt(total) > 0 ? Math.min(parseInt(step) / parseInt(total), 1) : null;
+};
+
+/**
+ * Resolve the seed a prediction actually ran with: the one logged by the
+ * model, falling back to the seed that was requested
+ */
+const resolveSeed = (logs, input) => {
+  const match = (logs || '').match(SEED_PATTERN);
+  if (match) {
+    return parseInt(match[1]);
+  }
+  return Number.isInteger(input.seed) ? input.seed : null;
+};
+
+class GenerationQueue {
+  constructor() {
+    this.provider = provider;
+    this.maxConcurrent = parseInt(process.env.MAX_CONCURRENT_PREDICTIONS) || 2;
+    this.pending = []; // GenerationPrediction ids waiting for a free slot (to be submitted, or resumed)
+    this.active = 0;
+    this.settlers = new Map(); // GenerationPrediction id -> resolves when a webhook finishes it
+  }
+
+  /**
+   * Queue every prediction of a freshly created job
+   */
+  enqueue(job) {
+    job.predictions.forEach(prediction => this.pending.push(prediction.id));
+    this.pump();
+  }
+
+  /**
+   * Start queued predictions while there are free slots
+   */
+  pump() {
+    while (this.active < this.maxConcurrent && this.pending.length > 0) {
+      const predictionRowId = this.pending.shift();
+      this.active++;
+
+      this.runPrediction(predictionRowId)
+        .catch(error => console.error(`❌ Generation worker error for prediction ${predictionRowId}:`, error))
+        .finally(() => {
+          this.active--;
+          this.pump();
+        });
+    }
+  }
+
+  /**
+   * Submit a prediction to the provider and wait for it to finish, holding a
+   * concurrency slot until then. With webhooks enabled completion arrives
+   * through handleWebhook instead of polling. Predictions a previous server
+   * process submitted are only waited for.
+   */
+  async runPrediction(predictionRowId) {
+    const row = await prisma.generationPrediction.findUnique({
+      where: { id: predictionRowId },
+      include: { job: true }
+    });
+
+    const resumed = row && row.status === 'RUNNING' && row.predictionId;
+    if (!row || (row.status !== 'QUEUED' && !resumed) || row.job.status === 'CANCELED') {
+      return;
+    }
+
+    try {
+      const webhook = this.provider.getWebhookUrl();
+
+      if (resumed) {
+        const prediction = { id: row.predictionId, status: row.providerStatus, state: 'RUNNING' };
+        await (webhook ? this.waitForWebhook(row.id, prediction) : this.waitForPrediction(row.id, prediction));
+        return;
+      }
+
+      await this.markJobRunning(row.jobId);
+
+      const model = getModel(row.job.baseModel);
+
+      console.log(`🚀 Submitting prediction ${row.id} for job ${row.jobId} to ${this.provider.name} (${model.id})${webhook ? ' via webhook' : ''}`);
+      const input = await imageStorage.providerInput(row.input);
+      const prediction = await this.provider.submit(input, { model, webhook });
+
+      const submitted = await prisma.generationPrediction.updateMany({
+        where: { id: row.id, status: 'QUEUED' },
+        data: {
+          predictionId: prediction.id,
+          status: 'RUNNING',
+          providerStatus: prediction.status,
+          startedAt: new Date()
+        }
+      });
+
+      // The job was canceled while the prediction was being submitted
+      if (submitted.count === 0) {
+        await this.cancelUpstream(prediction.id);
+        return;
+      }
+
+      this.publishPrediction(row, { status: 'RUNNING', providerStatus: prediction.status, progress: 0 });
+
+      if (webhook) {
+        await this.waitForWebhook(row.id, prediction);
+      } else {
+        await this.waitForPrediction(row.id, prediction);
+      }
+    } catch (error) {
+      console.error(`❌ Prediction ${row.id} failed:`, error.message);
+      const message = this.provider.describeError(error);
+
+      await prisma.generationPrediction.updateMany({
+        where: { id: row.id, status: { notIn: TERMINAL_STATUSES } },
+        data: {
+          status: 'FAILED',
+          error: message,
+          completedAt: new Date()
+        }
+      });
+
+      this.publishPrediction(row, { status: 'FAILED', error: message });
+      await this.finalizeJob(row.jobId);
+    }
+  }
+
+  /**
+   * Poll the provider until the prediction reaches a terminal state
+   */
+  async waitForPrediction(predictionRowId, prediction) {
+    while (!TERMINAL_STATUSES.includes(prediction.state)) {
+      await sleep(POLL_INTERVAL_MS);
+      prediction = await this.provider.status(prediction.id);
+
+      if (!TERMINAL_STATUSES.includes(prediction.state)) {
+        await this.handlePredictionProgress(predictionRowId, prediction);
+      }
+    }
+
+    await this.handlePredictionUpdate(predictionRowId, prediction);
+  }
+
+  /**
+   * Wait for a webhook to finish a prediction, polling slowly in case one is lost
+   */
+  async waitForWebhook(predictionRowId, prediction) {
+    const settled = new Promise(resolve => this.settlers.set(predictionRowId, resolve));
+
+    try {
+      while (!TERMINAL_STATUSES.includes(prediction.state)) {
+        const done = await Promise.race([
+          settled.then(() => true),
+          sleep(WEBHOOK_FALLBACK_POLL_MS).then(() => false)
+        ]);
+        if (done) {
+          return;
+        }
+        prediction = await this.provider.status(prediction.id);
+      }
+
+      await this.handlePredictionUpdate(predictionRowId, prediction);
+    } finally {
+      this.settlers.delete(predictionRowId);
+    }
+  }
+
+  /**
+   * Release the worker waiting on a prediction that reached a terminal state
+   */
+  settle(predictionRowId) {
+    const resolve = this.settlers.get(predictionRowId);
+    if (resolve) {
+      resolve();
+    }
+  }
+
+  /**
+   * Record status, logs and step progress of a prediction that is still running
+   */
+  async handlePredictionProgress(predictionRowId, prediction) {
+    const row = await prisma.generationPrediction.findUnique({
+      where: { id: predictionRowId }
+    });
+
+    if (!row || TERMINAL_STATUSES.includes(row.status)) {
+      return;
+    }
+
+    const logs = prediction.logs || '';
+    const previousLogs = row.logs || '';
+    const progress = parseStepProgress(logs) ?? row.progress;
+    const newLogs = logs.startsWith(previousLogs) ? logs.slice(previousLogs.length) : logs;
+
+    if (prediction.status === row.providerStatus && progress === row.progress && !newLogs) {
+      return;
+    }
+
+    await prisma.generationPrediction.update({
+      where: { id: row.id },
+      data: {
+        providerStatus: prediction.status,
+        progress,
+        logs
+      }
+    });
+
+    this.publishPrediction(row, { status: row.status, providerStatus: prediction.status, progress });
+
+    if (newLogs) {
+      generationEvents.publish(row.jobId, 'logs', {
+        predictionId: row.id.toString(),
+        position: row.position,
+        lines: newLogs.split('\n').filter(line => line.trim())
+      });
+    }
+  }
+
+  /**
+   * BigInt id of a generated image a job refers to, or null if it no longer exists
+   */
+  async existingImageId(imageId) {
+    if (!imageId) {
+      return null;
+    }
+
+    const image = await prisma.avatarGenerated.findUnique({
+      where: { id: BigInt(imageId) },
+      select: { id: true }
+    });
+    return image ? image.id : null;
+  }
+
+  /**
+   * Record a terminal prediction and save its outputs for review. The status
+   * change and the images are written in one transaction: if saving fails,
+   * the prediction stays RUNNING so a webhook retry or poll can finish it.
+   */
+  async handlePredictionUpdate(predictionRowId, prediction) {
+    const status = prediction.state;
+    const error = prediction.error;
+
+    const row = await prisma.generationPrediction.findUnique({
+      where: { id: predictionRowId },
+      include: { job: true }
+    });
+
+    if (!row || TERMINAL_STATUSES.includes(row.status)) {
+      this.settle(predictionRowId);
+      return;
+    }
+
+    const saveOutputs = status === 'SUCCEEDED' && row.job.status !== 'CANCELED';
+    const imageUrls = saveOutputs ? prediction.output || [] : [];
+    const imageData = saveOutputs ? await this.outputImageData(row, prediction) : null;
+
+    const images = await prisma.$transaction(async (tx) => {
+      // Claim the transition atomically so a webhook and a poller can't both save outputs
+      const claimed = await tx.generationPrediction.updateMany({
+        where: { id: predictionRowId, status: { notIn: TERMINAL_STATUSES } },
+        data: {
+          status,
+          error,
+          providerStatus: prediction.status,
+          progress: status === 'SUCCEEDED' ? 1 : undefined,
+          logs: prediction.logs || undefined,
+          completedAt: new Date()
+        }
+      });
+
+      if (claimed.count === 0) {
+        return null;
+      }
+
+      const created = [];
+      for (const imageUrl of imageUrls) {
+        // Save with the provider's temporary URL for review
+        // The image is stored when the user approves it (like/download)
+        created.push(await tx.avatarGenerated.create({
+          data: { ...imageData, sourceUrl: imageUrl },
+          include: {
+            avatar: {
+              select: {
+                id: true,
+                fullName: true,
+                replicateModelUrl: true,
+                triggerWord: true
+              }
+            },
+            contributors: {
+              select: {
+                avatarId: true,
+                scale: true,
+                avatar: { select: { fullName: true } }
+              }
+            }
+          }
+        }));
+      }
+      return created;
+    });
+
+    this.settle(predictionRowId);
+
+    if (!images) {
+      return;
+    }
+
+    for (const image of images) {
+      generationEvents.publish(row.jobId, 'image', {
+        predictionId: row.id.toString(),
+        position: row.position,
+        image: serializeGeneratedImage(image)
+      });
+    }
+    if (saveOutputs) {
+      console.log(`💾 Saved ${images.length} image(s) for review from job ${row.jobId}`);
+    }
+
+    this.publishPrediction(row, { status, providerStatus: prediction.status, progress: status === 'SUCCEEDED' ? 1 : row.progress, error });
+    await this.finalizeJob(row.jobId);
+  }
+
+  /**
+   * Fields shared by the images a succeeded prediction produced
+   */
+  async outputImageData(row, prediction) {
+    const seed = resolveSeed(prediction.logs || row.logs, row.input);
+    const parameters = { ...row.input, ...(seed !== null && { seed }) };
+    const model = getModel(row.job.baseModel);
+
+    // Every avatar whose LoRA contributed, at the scale this prediction ran with
+    const contributors = (row.job.loras || [])
+      .map((lora, index) => ({
+        avatarId: lora.avatarId,
+        scale: row.input.lora_scales?.[index] ?? row.input.lora_scale ?? lora.scale
+      }))
+      .filter(contributor => contributor.avatarId)
+      .map(contributor => ({ ...contributor, avatarId: BigInt(contributor.avatarId) }));
+
+    // The reference or parent image may have been deleted while the job ran
+    const { reference, edit } = row.job;
+    const referenceImageId = await this.existingImageId(reference?.imageId);
+    const parentId = await this.existingImageId(row.job.parentImageId);
+
+    return {
+      prompt: row.input.prompt || row.job.prompt,
+      rawPrompt: row.rawPrompt,
+      negativePrompt: row.negativePrompt,
+      reviewStatus: 'PENDING',
+      avatarId: row.job.avatarId,
+      jobId: row.jobId,
+      position: row.position,
+      parameters,
+      seed: seed !== null ? BigInt(seed) : null,
+      model: prediction.model || model.replicateModel,
+      modelVersion: prediction.version || model.version,
+      referenceUrl: reference?.url || null,
+      referenceImageId,
+      parentId,
+      operation: parentId ? row.job.operation : 'GENERATE',
+      maskUrl: edit?.maskUrl || null,
+      contributors: {
+        create: contributors
+      }
+    };
+  }
+
+  /**
+   * Apply a (normalized) prediction delivered by a provider webhook.
+   * Returns the matching prediction row, or null if the prediction is not ours.
+   */
+  async handleWebhook(prediction) {
+    const row = await prisma.generationPrediction.findUnique({
+      where: { predictionId: prediction.id },
+      include: {
+        job: {
+          select: {
+            id: true,
+            userId: true,
+            avatarId: true
+          }
+        }
+      }
+    });
+
+    if (!row) {
+      return null;
+    }
+
+    console.log(`📨 Webhook for prediction ${prediction.id} (job ${row.jobId}, user ${row.job.userId}, avatar ${row.job.avatarId}): ${prediction.status}`);
+
+    if (TERMINAL_STATUSES.includes(prediction.state)) {
+      await this.handlePredictionUpdate(row.id, prediction);
+    } else {
+      await this.handlePredictionProgress(row.id, prediction);
+    }
+
+    return row;
+  }
+
+  /**
+   * Cancel a job: stop its upstream predictions and discard any outputs
+   * still pending review. Returns false if the job had already finished.
+   */
+  async cancelJob(jobId) {
+    const canceled = await prisma.generationJob.updateMany({
+      where: { id: jobId, status: { notIn: TERMINAL_STATUSES } },
+      data: { status: 'CANCELED', completedAt: new Date() }
+    });
+
+    if (canceled.count === 0) {
+      return false;
+    }
+
+    const predictions = await prisma.generationPrediction.findMany({
+      where: { jobId, status: { notIn: TERMINAL_STATUSES } }
+    });
+
+    const pendingIds = new Set(predictions.map(prediction => prediction.id));
+    this.pending = this.pending.filter(id => !pendingIds.has(id));
+
+    await prisma.generationPrediction.updateMany({
+      where: { id: { in: [...pendingIds] }, status: { notIn: TERMINAL_STATUSES } },
+      data: { status: 'CANCELED', completedAt: new Date() }
+    });
+
+    await Promise.all(predictions
+      .filter(prediction => prediction.predictionId)
+      .map(prediction => this.cancelUpstream(prediction.predictionId)));
+
+    // Discard partial outputs that were never approved
+    const discarded = await prisma.avatarGenerated.deleteMany({
+      where: {
+        jobId,
+        reviewStatus: 'PENDING'
+      }
+    });
+
+    predictions.forEach(prediction => {
+      this.settle(prediction.id);
+      this.publishPrediction(prediction, { status: 'CANCELED' });
+    });
+    generationEvents.publish(jobId, 'done', { status: 'CANCELED', error: null });
+
+    console.log(`🛑 Canceled generation job ${jobId} (${predictions.length} prediction(s), ${discarded.count} image(s) discarded)`);
+    return true;
+  }
+
+  async cancelUpstream(predictionId) {
+    try {
+      await this.provider.cancel(predictionId);
+    } catch (error) {
+      // Already finished upstream - nothing left to cancel
+      console.error(`⚠️ Failed to cancel ${this.provider.name} prediction ${predictionId}:`, error.message);
+    }
+  }
+
+  async markJobRunning(jobId) {
+    const updated = await prisma.generationJob.updateMany({
+      where: { id: jobId, status: 'QUEUED' },
+      data: { status: 'RUNNING', startedAt: new Date() }
+    });
+
+    if (updated.count > 0) {
+      generationEvents.publish(jobId, 'job', { status: 'RUNNING' });
+    }
+  }
+
+  /**
+   * Settle the job status once all of its predictions are done
+   */
+  async finalizeJob(jobId) {
+    const predictions = await prisma.generationPrediction.findMany({
+      where: { jobId },
+      select: { status: true, error: true }
+    });
+
+    if (predictions.some(prediction => !TERMINAL_STATUSES.includes(prediction.status))) {
+      return;
+    }
+
+    let status = 'FAILED';
+    if (predictions.some(prediction => prediction.status === 'SUCCEEDED')) {
+      status = 'SUCCEEDED';
+    } else if (predictions.every(prediction => prediction.status === 'CANCELED')) {
+      status = 'CANCELED';
+    }
+
+    const failed = predictions.find(prediction => prediction.error);
+    const error = status === 'FAILED' && failed ? failed.error : null;
+
+    const updated = await prisma.generationJob.updateMany({
+      where: { id: jobId, status: { notIn: TERMINAL_STATUSES } },
+      data: {
+        status,
+        error,
+        completedAt: new Date()
+      }
+    });
+
+    if (updated.count > 0) {
+      console.log(`🏁 Generation job ${jobId} finished with status ${status}`);
+      generationEvents.publish(jobId, 'done', { status, error });
+    }
+  }
+
+  publishPrediction(row, data) {
+    generationEvents.publish(row.jobId, 'prediction', {
+      id: row.id.toString(),
+      position: row.position,
+      ...data
+    });
+  }
+
+  /**
+   * Pick up predictions left behind by a previous server process. Running
+   * ones go first, as they already run upstream; both wait for a slot.
+   */
+  async resume() {
+    const unfinished = await prisma.generationPrediction.findMany({
+      where: {
+        status: { in: ['QUEUED', 'RUNNING'] },
+        job: { status: { not: 'CANCELED' } }
+      },
+      orderBy: { id: 'asc' }
+    });
+
+    const running = unfinished.filter(row => row.status === 'RUNNING' && row.predictionId);
+    const queued = unfinished.filter(row => row.status === 'QUEUED');
+    this.pending.push(...running.map(row => row.id), ...queued.map(row => row.id));
+
+    if (unfinished.length > 0) {
+      console.log(`🔁 Resuming ${unfinished.length} unfinished prediction(s)`);
+    }
+
+    this.pump();
+  }
+}
+
+module.exports = new GenerationQueue();
@@ -0,0 +1,217 @@
+const Joi = require('joi');
+
+const ASPECT_RATIOS = ['1:1', '16:9', '9:16', '4:3', '3:4', '3:2', '2:3'];
+const OUTPUT_FORMATS = ['webp', 'jpg', 'png'];
+
+const DEFAULT_MODEL = 'flux-dev-lora';
+
+/**
+ * Supported base models. `parameters` lists every input a model accepts with
+ * its validation range and default; the request schemas, the Generate form and
+ * the presets' defaults are all derived from it. Pin `version` to a Replicate
+ * version id to stop upstream updates changing results. Replicate only runs the
+ * latest version of `official` models (version null); community models can
+ * only be run by version.
+ *
+ * Parameters flagged `image` only apply with a reference image (image-to-image)
+ * and are only accepted by `imageSettingsSchema`, which is null for models
+ * without reference image support.
+ *
+ * `loraInput` maps the LoRAs of a generation ([{ weights, scale }]) to model
+ * inputs, taking at most `maxLoras`. Avatars whose model names a `blendModel`
+ * can be blended with other LoRAs trained for the same model. Likewise an
+ * `inpaintModel` repaints masked regions of an avatar's images with its LoRA.
+ * `blendOnly` and `inpaintOnly` models aren't offered as an avatar's base model.
+ *
+ * Prompts are rendered per model (lib/promptProcessor.js): `(term:1.3)` weights
+ * are kept for `promptWeights` models and dropped elsewhere, and the negative
+ * prompt is sent as `negative_prompt` to `negativePrompt` models only. None of
+ * the FLUX models take either.
+ */
+const MODELS = {
+  'flux-dev-lora': {
+    label: 'FLUX.1 [dev] LoRA',
+    replicateModel: 'black-forest-labs/flux-dev-lora',
+    official: true,
+    version: null,
+    maxLoras: 1,
+    blendModel: 'flux-dev-multi-lora',
+    inpaintModel: 'flux-fill-dev',
+    loraInput: ([lora]) => ({ lora_weights: lora.weights }),
+    parameters: {
+      lora_scale: { type: 'number', min: 0, max: 1, step: 0.1, default: 0.8 },
+      num_outputs: { type: 'integer', min: 1, max: 4, default: 1 },
+      aspect_ratio: { type: 'enum', values: ASPECT_RATIOS, default: '1:1' },
+      output_format: { type: 'enum', values: OUTPUT_FORMATS, default: 'jpg' },
+      guidance_scale: { type: 'number', min: 1, max: 20, step: 0.5, default: 3.5 },
+      num_inference_steps: { type: 'integer', min: 1, max: 50, default: 28 },
+      go_fast: { type: 'boolean', default: true },
+      prompt_strength: { type: 'number', min: 0, max: 1, step: 0.05, default: 0.8, image: true }
+    }
+  },
+  'flux-schnell-lora': {
+    label: 'FLUX.1 [schnell] LoRA',
+    replicateModel: 'black-forest-labs/flux-schnell-lora',
+    official: true,
+    version: null,
+    maxLoras: 1,
+    loraInput: ([lora]) => ({ lora_weights: lora.weights }),
+    parameters: {
+      lora_scale: { type: 'number', min: 0, max: 1, step: 0.1, default: 0.8 },
+      num_outputs: { type: 'integer', min: 1, max: 4, default: 1 },
+      aspect_ratio: { type: 'enum', values: ASPECT_RATIOS, default: '1:1' },
+      output_format: { type: 'enum', values: OUTPUT_FORMATS, default: 'jpg' },
+      num_inference_steps: { type: 'integer', min: 1, max: 4, default: 4 },
+      go_fast: { type: 'boolean', default: true }
+    }
+  },
+  'flux-dev-multi-lora': {
+    label: 'FLUX.1 [dev] Multi-LoRA',
+    replicateModel: 'lucataco/flux-dev-multi-lora',
+    // Community model: blending needs the version id to run in REPLICATE_MULTI_LORA_VERSION
+    version: process.env.REPLICATE_MULTI_LORA_VERSION || null,
+    maxLoras: 4,
+    blendOnly: true,
+    // Each LoRA carries its own scale
+    loraInput: (loras) => ({
+      hf_loras: loras.map(lora => lora.weights),
+      lora_scales: loras.map(lora => lora.scale)
+    }),
+    parameters: {
+      num_outputs: { type: 'integer', min: 1, max: 4, default: 1 },
+      aspect_ratio: { type: 'enum', values: ASPECT_RATIOS, default: '1:1' },
+      output_format: { type: 'enum', values: OUTPUT_FORMATS, default: 'jpg' },
+      guidance_scale: { type: 'number', min: 1, max: 20, step: 0.5, default: 3.5 },
+      num_inference_steps: { type: 'integer', min: 1, max: 50, default: 28 },
+      prompt_strength: { type: 'number', min: 0, max: 1, step: 0.05, default: 0.8, image: true }
+    }
+  },
+  'flux-fill-dev': {
+    label: 'FLUX.1 Fill [dev]',
+    replicateModel: 'black-forest-labs/flux-fill-dev',
+    official: true,
+    version: null,
+    maxLoras: 1,
+    inpaintOnly: true,
+    loraInput: ([lora]) => ({ lora_weights: lora.weights }),
+    // Output size follows the input image, so there is no aspect_ratio
+    parameters: {
+      lora_scale: { type: 'number', min: 0, max: 1, step: 0.1, default: 0.8 },
+      num_outputs: { type: 'integer', min: 1, max: 4, default: 1 },
+      output_format: { type: 'enum', values: OUTPUT_FORMATS, default: 'jpg' },
+      guidance: { type: 'number', min: 0, max: 100, step: 1, default: 30 },
+      num_inference_steps: { type: 'integer', min: 1, max: 50, default: 28 }
+    }
+  }
+};
+
+// Accepted by every model; not part of a model's defaults or presets
+const seedSchema = Joi.number().integer();
+
+/**
+ * Joi schema for a single parameter definition
+ */
+const parameterSchema = (definition) => {
+  switch (definition.type) {
+    case 'integer':
+      return Joi.number().integer().min(definition.min).max(definition.max);
+    case 'number':
+      return Joi.number().min(definition.min).max(definition.max);
+    case 'enum':
+      return Joi.string().valid(...definition.values);
+    default:
+      return Joi.boolean();
+  }
+};
+
+const modelDefaults = (model) => Object.fromEntries(
+  Object.entries(model.parameters).map(([name, definition]) => [name, definition.default])
+);
+
+/**
+ * Settings schema for a model. With `defaults` every omitted parameter is
+ * filled in; without, all parameters are optional overrides. `image`
+ * parameters are only included for image-to-image schemas.
+ */
+const buildSettingsSchema = (model, { defaults = false, image = false } = {}) => Joi.object({
+  ...Object.fromEntries(Object.entries(model.parameters)
+    .filter(([, definition]) => image || !definition.image)
+    .map(([name, definition]) => {
+      const schema = parameterSchema(definition);
+      return [name, defaults ? schema.default(definition.default) : schema];
+    })),
+  seed: seedSchema
+});
+
+Object.entries(MODELS).forEach(([id, model]) => {
+  model.id = id;
+  model.settingsSchema = buildSettingsSchema(model, { defaults: true });
+  model.imageSettingsSchema = Object.values(model.parameters).some(definition => definition.image)
+    ? buildSettingsSchema(model, { defaults: true, image: true })
+    : null;
+  model.overridesSchema = buildSettingsSchema(model);
+});
+
+/**
+ * Registry entry for a base model key, falling back to the default model for
+ * keys that are no longer registered
+ */
+const getModel = (id) => MODELS[id] || MODELS[DEFAULT_MODEL];
+
+/**
+ * Why a model can't be run on Replicate, or null: community models without a
+ * pinned version would be refused upstream
+ */
+const unrunnableReason = (model) => (model.official || model.version
+  ? null
+  : `${model.label} (${model.replicateModel}) is a community model and needs a pinned Replicate version`);
+
+// Presets are shared across models, so they accept the union of every
+// model's parameters at the widest range; each model re-validates on use
+const presetParameters = Object.values(MODELS).reduce((union, model) => {
+  Object.entries(model.parameters).forEach(([name, definition]) => {
+    const existing = union[name];
+    union[name] = existing && existing.min !== undefined
+      ? { ...existing, min: Math.min(existing.min, definition.min), max: Math.max(existing.max, definition.max) }
+      : existing || definition;
+  });
+  return union;
+}, {});
+
+const presetSettingsSchema = Joi.object(Object.fromEntries(
+  Object.entries(presetParameters).map(([name, definition]) => [name, parameterSchema(definition)])
+));
+
+/**
+ * Describe a model for the frontend (no Joi schemas)
+ */
+const serializeModel = (model) => ({
+  id: model.id,
+  label: model.label,
+  replicateModel: model.replicateModel,
+  version: model.version,
+  official: Boolean(model.official),
+  maxLoras: model.maxLoras,
+  blendModel: model.blendModel || null,
+  blendOnly: Boolean(model.blendOnly),
+  inpaintModel: model.inpaintModel || null,
+  inpaintOnly: Boolean(model.inpaintOnly),
+  supportsReferenceImage: Boolean(model.imageSettingsSchema),
+  promptWeights: Boolean(model.promptWeights),
+  negativePrompt: Boolean(model.negativePrompt),
+  parameters: model.parameters,
+  defaults: modelDefaults(model)
+});
+
+module.exports = {
+  MODELS,
+  DEFAULT_MODEL,
+  ASPECT_RATIOS,
+  OUTPUT_FORMATS,
+  getModel,
+  unrunnableReason,
+  parameterSchema,
+  modelDefaults,
+  presetSettingsSchema,
+  serializeModel
+};
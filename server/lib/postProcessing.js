@@ -0,0 +1,113 @@
+const Joi = require('joi');
+const sharp = require('sharp');
+const provider = require('./providers');
+const { ASPECT_RATIOS } = require('./models');
+
+const POLL_INTERVAL_MS = 2000;
+const TIMEOUT_MS = 5 * 60 * 1000;
+
+// Upscaling and face restoration (GFPGAN, via face_enhance) run on Replicate.
+// Community models can only be run by version, so it is pinned.
+const RESTORATION_MODEL = {
+  id: 'real-esrgan',
+  replicateModel: 'nightmareai/real-esrgan',
+  version: 'f121d640bd286e1fdc67f9799164c1d5be36ff74576ee11c803ae5b665dd46aa'
+};
+
+// Stored extension -> sharp output format
+const OUTPUT_FORMATS = {
+  jpg: 'jpeg',
+  png: 'png',
+  webp: 'webp'
+};
+
+/**
+ * Post-processing requested when approving or downloading an image.
+ * Steps run in order: restoration model (upscale/face restore), crop, format.
+ */
+const postProcessingSchema = Joi.object({
+  upscale: Joi.number().valid(2, 4),
+  faceRestore: Joi.boolean(),
+  crop: Joi.string().valid(...ASPECT_RATIOS),
+  format: Joi.string().valid(...Object.keys(OUTPUT_FORMATS))
+}).or('upscale', 'faceRestore', 'crop', 'format');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run the restoration model on an image URL and return the output bytes
+ */
+const restore = async (imageUrl, { upscale, faceRestore }) => {
+  let prediction = await provider.submit({
+    image: imageUrl,
+    scale: upscale || 1,
+    face_enhance: Boolean(faceRestore)
+  }, { model: RESTORATION_MODEL });
+
+  const deadline = Date.now() + TIMEOUT_MS;
+  while (prediction.state === 'RUNNING') {
+    if (Date.now() > deadline) {
+      await provider.cancel(prediction.id);
+      throw new Error('Post-processing timed out');
+    }
+    await sleep(POLL_INTERVAL_MS);
+    prediction = await provider.status(prediction.id);
+  }
+
+  if (prediction.state !== 'SUCCEEDED' || !prediction.output?.length) {
+    throw new Error(prediction.error || `Post-processing ${prediction.status}`);
+  }
+
+  return provider.fetchOutput(prediction.output[0]);
+};
+
+/**
+ * Largest centered region of a width x height image with the given aspect ratio
+ */
+const cropRegion = (width, height, ratio) => {
+  const [ratioWidth, ratioHeight] = ratio.split(':').map(Number);
+  const cropWidth = Math.min(width, Math.round(height * ratioWidth / ratioHeight));
+  const cropHeight = Math.min(height, Math.round(width * ratioHeight / ratioWidth));
+
+  return {
+    left: Math.floor((width - cropWidth) / 2),
+    top: Math.floor((height - cropHeight) / 2),
+    width: cropWidth,
+    height: cropHeight
+  };
+};
+
+/**
+ * Produce the processed variant of an image.
+ * Returns { buffer, extension, width, height }.
+ */
+const postProcessImage = async (imageUrl, options) => {
+  const buffer = options.upscale || options.faceRestore
+    ? await restore(imageUrl, options)
+    : await provider.fetchOutput(imageUrl);
+
+  let pipeline = sharp(buffer);
+  const metadata = await pipeline.metadata();
+
+  if (options.crop) {
+    pipeline = pipeline.extract(cropRegion(metadata.width, metadata.height, options.crop));
+  }
+
+  // Keep the original format unless a conversion was asked for
+  const extension = options.format || (metadata.format === 'jpeg' ? 'jpg' : metadata.format);
+  pipeline = pipeline.toFormat(OUTPUT_FORMATS[extension] || 'jpeg');
+
+  const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+
+  return {
+    buffer: data,
+    extension: OUTPUT_FORMATS[extension] ? extension : 'jpg',
+    width: info.width,
+    height: info.height
+  };
+};
+
+module.exports = {
+  postProcessingSchema,
+  postProcessImage
+};
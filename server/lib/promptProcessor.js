@@ -0,0 +1,100 @@
+// $name references to the user's saved snippets
+const SNIPPET_PATTERN = /\$([a-zA-Z_][\w-]*)/g;
+
+// Everything after the first --no is the negative prompt
+const NEGATIVE_SEPARATOR = /\s*--no\b\s*/i;
+
+// (term:1.3) weighted terms
+const WEIGHT_PATTERN = /\(([^():]+):\s*(\d*\.?\d+)\s*\)/g;
+
+const MAX_WEIGHT = 2;
+
+// Snippets may reference other snippets this many levels deep
+const MAX_SNIPPET_DEPTH = 5;
+
+const collapseWhitespace = (text) => text.replace(/[ \t]{2,}/g, ' ').trim();
+
+/**
+ * Replace $name references with snippet text (snippets keyed by lowercase
+ * name), recording unknown and circular references in `problems`. Unknown
+ * references are left as typed, since prompts can mention prices or other
+ * text starting with $.
+ */
+const expandSnippets = (text, snippets, problems, stack = []) => text.replace(SNIPPET_PATTERN, (reference, name) => {
+  const key = name.toLowerCase();
+
+  if (snippets[key] === undefined) {
+    problems.unknown.add(reference);
+    return reference;
+  }
+
+  if (stack.includes(key) || stack.length >= MAX_SNIPPET_DEPTH) {
+    problems.circular.add(reference);
+    return reference;
+  }
+
+  return expandSnippets(snippets[key], snippets, problems, [...stack, key]);
+});
+
+/**
+ * Expand a raw prompt: snippets are substituted, the text after --no becomes
+ * the negative prompt and weighted terms are normalized.
+ * Returns { raw, prompt, negativePrompt, weights, warnings } or { error };
+ * `warnings` lists $words kept as text because no snippet has that name.
+ */
+const processPrompt = (raw, snippets = {}) => {
+  const problems = { unknown: new Set(), circular: new Set() };
+  const expanded = expandSnippets(raw, snippets, problems);
+
+  if (problems.circular.size > 0) {
+    return { error: `Snippets reference themselves: ${[...problems.circular].join(', ')}` };
+  }
+
+  const [positive, ...negative] = expanded.split(NEGATIVE_SEPARATOR);
+
+  const weights = [];
+  let weightError = null;
+  const prompt = collapseWhitespace(positive.replace(WEIGHT_PATTERN, (weighted, term, value) => {
+    const weight = Number(value);
+    if (weight > MAX_WEIGHT) {
+      weightError = `Weight of "${term.trim()}" must be at most ${MAX_WEIGHT}`;
+    }
+    weights.push({ term: term.trim(), weight });
+    return weight === 1 ? term.trim() : `(${term.trim()}:${weight})`;
+  }));
+
+  if (weightError) {
+    return { error: weightError };
+  }
+
+  if (prompt.length < 3) {
+    return { error: 'Prompt must be at least 3 characters long before --no' };
+  }
+
+  return {
+    raw,
+    prompt,
+    negativePrompt: collapseWhitespace(negative.join(', ')) || null,
+    weights,
+    warnings: problems.unknown.size > 0
+      ? [`No snippets named ${[...problems.unknown].join(', ')}; kept as typed`]
+      : []
+  };
+};
+
+/**
+ * The text actually sent to a model for a processed prompt. Weights are only
+ * kept for models that understand them and the negative prompt only goes to
+ * models that take one.
+ */
+const renderPrompt = (processed, model) => ({
+  prompt: model.promptWeights
+    ? processed.prompt
+    : collapseWhitespace(processed.prompt.replace(WEIGHT_PATTERN, (weighted, term) => term.trim())),
+  negativePrompt: model.negativePrompt ? processed.negativePrompt : null
+});
+
+module.exports = {
+  processPrompt,
+  renderPrompt
+};
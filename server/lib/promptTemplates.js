@@ -0,0 +1,36 @@
+// {{name}} placeholders; whitespace inside the braces is allowed
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_]\w*)\s*\}\}/g;
+
+// Filled from the selected avatar rather than by the user
+const TRIGGER_VARIABLE = 'trigger';
+
+/**
+ * List the distinct placeholder names in a template, in order of appearance
+ */
+const extractVariables = (template) => [
+  ...new Set([...template.matchAll(PLACEHOLDER_PATTERN)].map(([, name]) => name.toLowerCase()))
+];
+
+/**
+ * Substitute placeholder values into a template.
+ * Returns the rendered prompt and the names of variables left without a value.
+ */
+const renderTemplate = (template, values = {}) => {
+  const normalized = Object.fromEntries(
+    Object.entries(values).map(([name, value]) => [name.toLowerCase(), String(value ?? '').trim()])
+  );
+  const missing = extractVariables(template).filter(name => !normalized[name]);
+
+  const prompt = template
+    .replace(PLACEHOLDER_PATTERN, (placeholder, name) => normalized[name.toLowerCase()] || '')
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+
+  return { prompt, missing };
+};
+
+module.exports = {
+  TRIGGER_VARIABLE,
+  extractVariables,
+  renderTemplate
+};
@@ -0,0 +1,23 @@
+const axios = require('axios');
+
+/**
+ * Fetch an output URL into a Buffer. Handles inline data: URIs as well as
+ * remote URLs so outputs from any provider can be stored.
+ */
+const downloadOutput = async (url) => {
+  const dataUri = url.match(/^data:[^;,]+(;base64)?,(.*)$/s);
+  if (dataUri) {
+    return dataUri[1]
+      ? Buffer.from(dataUri[2], 'base64')
+      : Buffer.from(decodeURIComponent(dataUri[2]), 'utf8');
+  }
+
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: 30000 // 30 second timeout
+  });
+
+  return Buffer.from(response.data);
+};
+
+module.exports = { downloadOutput };
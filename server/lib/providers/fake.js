@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const { downloadOutput } = require('./download');
+
+// Status polls before a fake prediction completes (polled every 2s by the queue)
+const PROCESSING_STEPS = 3;
+const FAILURE_MARKER = '[fail]';
+
+// Uses Replicate's status vocabulary so the UI labels match
+const STATUS_MAP = {
+  starting: 'RUNNING',
+  processing: 'RUNNING',
+  succeeded: 'SUCCEEDED',
+  failed: 'FAILED',
+  canceled: 'CANCELED'
+};
+
+const ASPECT_SIZES = {
+  '1:1': [512, 512],
+  '16:9': [768, 432],
+  '9:16': [432, 768],
+  '4:3': [640, 480],
+  '3:4': [480, 640],
+  '3:2': [720, 480],
+  '2:3': [480, 720]
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Break a prompt into lines of at most `width` characters
+const wrapText = (text, width) => text.split(/\s+/).reduce((lines, word) => {
+  const last = lines[lines.length - 1];
+  if (last && `${last} ${word}`.length <= width) {
+    lines[lines.length - 1] = `${last} ${word}`;
+  } else {
+    lines.push(word);
+  }
+  return lines;
+}, []);
+
+/**
+ * Offline provider producing deterministic SVG placeholders.
+ * The same input always renders the same image; a prompt containing
+ * "[fail]" fails so error handling can be exercised too.
+ */
+class FakeProvider {
+  constructor() {
+    this.name = 'fake';
+    this.predictions = new Map(); // In-memory only; lost on restart
+    this.counter = 0;
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+  }
+
+  resolveSeed(input) {
+    return Number.isInteger(input.seed) ? input.seed : parseInt(this.hash(input.prompt).slice(0, 4), 16);
+  }
+
+  /**
+   * Render the placeholder for an input as a data: URI
+   */
+  render(model, input, seed) {
+    const [width, height] = ASPECT_SIZES[input.aspect_ratio] || ASPECT_SIZES['1:1'];
+    const digest = this.hash({ ...input, seed });
+    const hue = parseInt(digest.slice(0, 4), 16) % 360;
+    const accent = (hue + 40 + parseInt(digest.slice(4, 6), 16) % 80) % 360;
+    const lines = wrapText(input.prompt || '', Math.floor(width / 14)).slice(0, 8);
+    const details = `seed ${seed} · lora ${input.lora_scale} · cfg ${input.guidance_scale ?? input.guidance} · ${input.num_inference_steps} steps`
+      + (input.mask ? ' · inpaint' : input.image ? ` · ref ${input.prompt_strength}` : '');
+
+    const svg = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+      '<defs><linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">',
+      `<stop offset="0" stop-color="hsl(${hue},55%,45%)"/><stop offset="1" stop-color="hsl(${accent},60%,30%)"/>`,
+      '</linearGradient></defs>',
+      `<rect width="${width}" height="${height}" fill="url(#bg)"/>`,
+      `<text x="24" y="40" font-family="sans-serif" font-size="14" fill="#ffffffb3">PLACEHOLDER · ${escapeXml(model.replicateModel)}</text>`,
+      ...lines.map((line, index) => (
+        `<text x="24" y="${96 + index * 26}" font-family="sans-serif" font-size="20" fill="#fff">${escapeXml(line)}</text>`
+      )),
+      `<text x="24" y="${height - 24}" font-family="monospace" font-size="13" fill="#ffffffcc">${escapeXml(details)}</text>`,
+      '</svg>'
+    ].join('');
+
+    return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+  }
+
+  // Post-processing models (an input image but no prompt) echo their input
+  output(model, input, seed) {
+    return input.image && input.prompt === undefined ? input.image : this.render(model, input, seed);
+  }
+
+  snapshot(id) {
+    const prediction = this.predictions.get(id);
+    const { model, input, seed, polls, canceled } = prediction;
+    const step = Math.min(polls, PROCESSING_STEPS);
+    const steps = input.num_inference_steps || 28;
+
+    let status = polls === 0 ? 'starting' : 'processing';
+    if (canceled) {
+      status = 'canceled';
+    } else if (polls > PROCESSING_STEPS) {
+      status = (input.prompt || '').includes(FAILURE_MARKER) ? 'failed' : 'succeeded';
+    }
+
+    const progressLines = Array.from({ length: step }, (_, index) => {
+      const done = Math.round(((index + 1) / PROCESSING_STEPS) * steps);
+      return `${Math.round((done / steps) * 100)}%| ${done}/${steps} [00:0${index}<00:00, 1.00it/s]`;
+    });
+
+    return {
+      id,
+      status,
+      state: STATUS_MAP[status],
+      logs: [`Using seed: ${seed}`, ...progressLines].join('\n'),
+      output: status === 'succeeded' ? [this.output(model, input, seed)] : null,
+      error: status === 'failed' ? 'Fake provider failure requested by prompt' : null,
+      model: model.replicateModel,
+      version: 'fake'
+    };
+  }
+
+  async submit(input, { model }) {
+    this.counter++;
+    const id = `fake-${this.hash({ input, counter: this.counter, at: Date.now() }).slice(0, 16)}`;
+    this.predictions.set(id, { model, input, seed: this.resolveSeed(input), polls: 0, canceled: false });
+    return this.snapshot(id);
+  }
+
+  /**
+   * Each poll advances the prediction by one step
+   */
+  async status(predictionId) {
+    const prediction = this.predictions.get(predictionId);
+    if (!prediction) {
+      return {
+        id: predictionId,
+        status: 'failed',
+        state: 'FAILED',
+        logs: '',
+        output: null,
+        error: 'Fake prediction was lost when the server restarted',
+        model: null,
+        version: 'fake'
+      };
+    }
+
+    prediction.polls++;
+    const snapshot = this.snapshot(predictionId);
+
+    if (snapshot.state !== 'RUNNING') {
+      this.predictions.delete(predictionId);
+    }
+    return snapshot;
+  }
+
+  async cancel(predictionId) {
+    const prediction = this.predictions.get(predictionId);
+    if (prediction) {
+      prediction.canceled = true;
+    }
+  }
+
+  fetchOutput(url) {
+    return downloadOutput(url);
+  }
+
+  // Fake predictions are always polled
+  getWebhookUrl() {
+    return null;
+  }
+
+  describeError(error) {
+    return error.message || 'Error generating image';
+  }
+}
+
+module.exports = new FakeProvider();
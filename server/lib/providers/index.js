@@ -0,0 +1,29 @@
+/**
+ * Image generation provider, selected with IMAGE_PROVIDER (default "replicate").
+ *
+ * A provider exposes:
+ *   name
+ *   submit(input, { model, webhook }) -> prediction (`model` is a lib/models.js entry)
+ *   status(predictionId)              -> prediction
+ *   cancel(predictionId)
+ *   fetchOutput(url)                  -> Buffer with the image bytes
+ *   getWebhookUrl()                   -> URL to receive updates at, or null to poll
+ *   describeError(error)              -> user-facing message
+ *
+ * Predictions are plain objects:
+ *   { id, status, state, logs, output, error, model, version }
+ * where `status` is the provider's own status string, `state` one of
+ * RUNNING/SUCCEEDED/FAILED/CANCELED and `output` an array of image URLs.
+ */
+const PROVIDERS = {
+  replicate: () => require('./replicate'),
+  fake: () => require('./fake')
+};
+
+const name = (process.env.IMAGE_PROVIDER || 'replicate').toLowerCase();
+
+if (!PROVIDERS[name]) {
+  throw new Error(`Unknown IMAGE_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+}
+
+module.exports = PROVIDERS[name]();
@@ -0,0 +1,98 @@
+const Replicate = require('replicate');
+const { getWebhookUrl } = require('../replicateWebhooks');
+const { downloadOutput } = require('./download');
+const { unrunnableReason } = require('../models');
+
+// Replicate prediction status -> GenerationStatus
+const STATUS_MAP = {
+  starting: 'RUNNING',
+  processing: 'RUNNING',
+  succeeded: 'SUCCEEDED',
+  failed: 'FAILED',
+  canceled: 'CANCELED'
+};
+
+/**
+ * Image generation through Replicate predictions
+ */
+class ReplicateProvider {
+  constructor() {
+    this.name = 'replicate';
+    this.client = new Replicate({
+      auth: process.env.REPLICATE_API_TOKEN,
+    });
+  }
+
+  /**
+   * Convert a Replicate prediction (API response or webhook payload)
+   * into the provider-neutral shape the generation queue works with
+   */
+  normalize(prediction) {
+    const output = prediction.output === null || prediction.output === undefined
+      ? null
+      : [].concat(prediction.output); // Output is an array of image URLs (or a single URL)
+
+    return {
+      id: prediction.id,
+      status: prediction.status,
+      state: STATUS_MAP[prediction.status] || 'RUNNING',
+      logs: prediction.logs || '',
+      output,
+      error: prediction.error ? String(prediction.error) : null,
+      model: prediction.model || null,
+      version: prediction.version || null
+    };
+  }
+
+  /**
+   * Create a prediction for a registry model (pinned version if it has one);
+   * with a webhook URL Replicate reports progress there
+   */
+  async submit(input, { model, webhook }) {
+    const reason = unrunnableReason(model);
+    if (reason) {
+      throw new Error(reason);
+    }
+
+    const prediction = await this.client.predictions.create({
+      ...(model.version ? { version: model.version } : { model: model.replicateModel }),
+      input,
+      ...(webhook && {
+        webhook,
+        webhook_events_filter: ['start', 'logs', 'completed']
+      })
+    });
+
+    return this.normalize(prediction);
+  }
+
+  async status(predictionId) {
+    return this.normalize(await this.client.predictions.get(predictionId));
+  }
+
+  async cancel(predictionId) {
+    await this.client.predictions.cancel(predictionId);
+  }
+
+  fetchOutput(url) {
+    return downloadOutput(url);
+  }
+
+  getWebhookUrl() {
+    return getWebhookUrl();
+  }
+
+  describeError(error) {
+    if (error.message?.includes('Invalid token')) {
+      return 'Invalid Replicate API token';
+    }
+
+    if (error.message?.includes('rate limit')) {
+      return 'Rate limit exceeded. Please try again later.';
+    }
+
+    return error.message || 'Error generating image';
+  }
+}
+
+module.exports = new ReplicateProvider();
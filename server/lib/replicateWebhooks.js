@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+// Reject webhooks whose timestamp is further than this from our clock (replay protection)
+const TIMESTAMP_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Webhooks are only used when we have a public URL to receive them and the
+ * signing secret to verify them; otherwise the worker falls back to polling
+ */
+const isWebhookEnabled = () => Boolean(process.env.WEBHOOK_BASE_URL && process.env.REPLICATE_WEBHOOK_SECRET);
+
+/**
+ * Public URL Replicate should call when a prediction changes state
+ */
+const getWebhookUrl = () => {
+  if (!isWebhookEnabled()) {
+    return null;
+  }
+
+  return `${process.env.WEBHOOK_BASE_URL.replace(/\/$/, '')}/api/webhooks/replicate`;
+};
+
+/**
+ * Decode the signing key from a "whsec_<base64>" secret
+ */
+const getSigningKey = (secret) => {
+  const encoded = secret.startsWith('whsec_') ? secret.slice('whsec_'.length) : secret;
+  return Buffer.from(encoded, 'base64');
+};
+
+/**
+ * Compute the base64 HMAC-SHA256 signature Replicate sends for a payload
+ */
+const signPayload = ({ id, timestamp, body, secret }) => {
+  const signedContent = `${id}.${timestamp}.${body}`;
+  return crypto.createHmac('sha256', getSigningKey(secret)).update(signedContent).digest('base64');
+};
+
+/**
+ * Verify the webhook-id / webhook-timestamp / webhook-signature headers
+ * against the raw request body
+ */
+const verifyWebhookSignature = (headers, rawBody, secret = process.env.REPLICATE_WEBHOOK_SECRET) => {
+  const id = headers['webhook-id'];
+  const timestamp = headers['webhook-timestamp'];
+  const signatureHeader = headers['webhook-signature'];
+
+  if (!secret || !id || !timestamp || !signatureHeader) {
+    return false;
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp));
+  if (Number.isNaN(age) || age > TIMESTAMP_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload({ id, timestamp, body: rawBody.toString('utf8'), secret }));
+
+  // Header holds space-separated "v1,<signature>" entries
+  return signatureHeader.split(' ').some(entry => {
+    const [, signature] = entry.split(',');
+    if (!signature) {
+      return false;
+    }
+
+    const received = Buffer.from(signature);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+};
+
+module.exports = {
+  isWebhookEnabled,
+  getWebhookUrl,
+  signPayload,
+  verifyWebhookSignature
+};
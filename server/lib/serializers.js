@@ -0,0 +1,160 @@
+const { extractVariables } = require('./promptTemplates');
+const imageStorage = require('./storage');
+
+// Stored files are linked through imageStorage.displayUrl, which signs private ones
+const fileUrl = (url) => (url ? imageStorage.displayUrl(url) : null);
+
+/**
+ * Convert a generated image row (BigInt ids) into the shape the frontend expects
+ */
+const serializeGeneratedImage = (image) => ({
+  id: image.id.toString(),
+  avatarId: image.avatarId ? image.avatarId.toString() : undefined,
+  jobId: image.jobId ? image.jobId.toString() : null,
+  position: image.position ?? null,
+  prompt: image.prompt,
+  rawPrompt: image.rawPrompt ?? null,
+  negativePrompt: image.negativePrompt ?? null,
+  reviewStatus: image.reviewStatus,
+  sourceUrl: image.sourceUrl,
+  storedUrl: fileUrl(image.storedUrl),
+  imageUrl: fileUrl(image.storedUrl || image.sourceUrl), // Display URL: stored copy once approved
+  // Upscaled/cropped/converted variant chosen on approval, if any
+  processedUrl: fileUrl(image.processedUrl),
+  postProcessing: image.postProcessing ?? null,
+  // Awaiting a like/dislike decision (failed uploads can be retried)
+  isPendingReview: image.reviewStatus === 'PENDING' || image.reviewStatus === 'UPLOAD_FAILED',
+  createdAt: image.createdAt,
+  reviewedAt: image.reviewedAt,
+  // Everything needed to reproduce the image
+  parameters: image.parameters ?? null,
+  seed: image.seed != null ? Number(image.seed) : null,
+  model: image.model ?? null,
+  modelVersion: image.modelVersion ?? null,
+  // Input image of an image-to-image generation
+  referenceUrl: fileUrl(image.referenceUrl),
+  referenceImageId: image.referenceImageId ? image.referenceImageId.toString() : null,
+  // Lineage: the image this one was derived from and how; the region repainted when inpainting
+  parentId: image.parentId ? image.parentId.toString() : null,
+  operation: image.operation ?? 'GENERATE',
+  maskUrl: fileUrl(image.maskUrl),
+  versions: image.versions ? image.versions.map(version => ({
+    id: version.id.toString(),
+    reviewStatus: version.reviewStatus,
+    imageUrl: fileUrl(version.storedUrl || version.sourceUrl),
+    createdAt: version.createdAt
+  })) : undefined,
+  avatar: image.avatar ? {
+    ...image.avatar,
+    id: image.avatar.id.toString()
+  } : null,
+  // Every avatar whose LoRA was blended in, `avatar` first (images from before
+  // blending only list `avatar`)
+  avatars: image.contributors?.length > 0
+    ? [...image.contributors]
+      .sort((a, b) => Number(b.avatarId === image.avatar?.id) - Number(a.avatarId === image.avatar?.id))
+      .map(contributor => ({
+        id: contributor.avatarId.toString(),
+        fullName: contributor.avatar?.fullName,
+        scale: contributor.scale
+      }))
+    : image.avatar ? [{ id: image.avatar.id.toString(), fullName: image.avatar.fullName, scale: null }] : []
+});
+
+/**
+ * Convert a generation job (with optional predictions/images) for JSON output
+ */
+const serializeGenerationJob = (job) => ({
+  id: job.id.toString(),
+  status: job.status,
+  kind: job.kind,
+  baseModel: job.baseModel,
+  prompt: job.prompt,
+  rawPrompt: job.rawPrompt ?? null,
+  negativePrompt: job.negativePrompt ?? null,
+  avatarId: job.avatarId.toString(),
+  sweep: job.sweep ?? null,
+  loras: job.loras ?? null,
+  reference: job.reference ? { ...job.reference, url: fileUrl(job.reference.url) } : null,
+  edit: job.edit ? { ...job.edit, maskUrl: fileUrl(job.edit.maskUrl) } : null,
+  operation: job.operation,
+  parentImageId: job.parentImageId ? job.parentImageId.toString() : null,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+  avatar: job.avatar ? {
+    ...job.avatar,
+    id: job.avatar.id.toString()
+  } : undefined,
+  predictions: job.predictions ? job.predictions.map(prediction => ({
+    id: prediction.id.toString(),
+    position: prediction.position,
+    prompt: prediction.input?.prompt,
+    status: prediction.status,
+    providerStatus: prediction.providerStatus,
+    progress: prediction.progress,
+    error: prediction.error,
+    startedAt: prediction.startedAt,
+    completedAt: prediction.completedAt
+  })) : undefined,
+  images: job.images ? job.images.map(serializeGeneratedImage) : undefined
+});
+
+/**
+ * Convert a prompt template row, listing its placeholder variables
+ */
+const serializePromptTemplate = (template) => ({
+  id: template.id.toString(),
+  name: template.name,
+  template: template.template,
+  description: template.description,
+  variables: extractVariables(template.template),
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt
+});
+
+/**
+ * Convert a prompt snippet row for JSON output
+ */
+const serializePromptSnippet = (snippet) => ({
+  id: snippet.id.toString(),
+  name: snippet.name,
+  text: snippet.text,
+  createdAt: snippet.createdAt,
+  updatedAt: snippet.updatedAt
+});
+
+/**
+ * Convert a generation preset row for JSON output
+ */
+const serializeGenerationPreset = (preset) => ({
+  id: preset.id.toString(),
+  name: preset.name,
+  settings: preset.settings,
+  createdAt: preset.createdAt,
+  updatedAt: preset.updatedAt
+});
+
+/**
+ * Convert an avatar row, including the user's default preset when loaded
+ * (`defaultPresets` holding at most the requesting user's)
+ */
+const serializeAvatar = ({ defaultPresets, ...avatar }) => {
+  const defaultPreset = defaultPresets?.[0]?.preset;
+  return {
+    ...avatar,
+    id: avatar.id.toString(),
+    defaultPresetId: defaultPreset ? defaultPreset.id.toString() : null,
+    defaultPreset: defaultPreset ? serializeGenerationPreset(defaultPreset) : null
+  };
+};
+
+module.exports = {
+  serializeGeneratedImage,
+  serializeGenerationJob,
+  serializePromptTemplate,
+  serializePromptSnippet,
+  serializeGenerationPreset,
+  serializeAvatar
+};
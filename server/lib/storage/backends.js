@@ -0,0 +1,56 @@
+/**
+ * Storage backends by name. A backend exposes:
+ *   name
+ *   publicUrls                    -> whether the image provider can fetch its URLs
+ *   origins                       -> (optional) origins browsers load its URLs from
+ *   put(key, buffer, options)     -> { key, url }, url being storedUrl(key)
+ *   putMany(files, options)       -> (optional) [{ key, url }], storing [{ key, buffer, contentType }] together
+ *   get(key)                      -> Buffer with the file bytes
+ *   exists(key)                   -> whether there is a file at a key
+ *   delete(key)                   -> { deleted }, false when there was no such file
+ *   list(prefix)                  -> keys of the files directly under a folder
+ *   storedUrl(key)                -> what images record for the file: its public URL, or the key itself
+ *   keyFromUrl(url)               -> key of a value issued by storedUrl, or null
+ *   signedUrl(key)                -> (optional) expiring /api/media URL clients load private files from
+ *   verify(key, expires, sig)     -> (optional) whether a /api/media request may read a key
+ *   presignedUrl(key)             -> (optional) short-lived URL /api/media redirects to
+ *
+ * Keys are slash-separated paths laid out as avatars/<safe-name>/<file>,
+ * avatars/<safe-name>/processed/<file>, references/... and masks/...
+ * Put options are the file's `contentType` and a `message` describing the
+ * change for backends that keep a history.
+ */
+const BACKENDS = {
+  github: () => require('./github'),
+  local: () => require('./local'),
+  s3: () => require('./s3')
+};
+
+const BACKEND_NAMES = Object.keys(BACKENDS);
+
+// Extension -> MIME type of the images that get stored
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  svg: 'image/svg+xml'
+};
+
+/**
+ * Content type of a stored file, from its key's extension
+ */
+const contentType = (key) => MIME_TYPES[key.split('.').pop()] || 'application/octet-stream';
+
+const loadBackend = (name) => {
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown storage backend "${name}". Expected one of: ${BACKEND_NAMES.join(', ')}`);
+  }
+  return BACKENDS[name]();
+};
+
+module.exports = {
+  BACKEND_NAMES,
+  loadBackend,
+  contentType
+};
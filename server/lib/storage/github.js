@@ -0,0 +1,237 @@
+const { Octokit } = require('@octokit/rest');
+
+/**
+ * Stores files in a GitHub repository (GITHUB_REPO, "owner/repo") and serves
+ * them from raw.githubusercontent.com. Configuration is checked on first use,
+ * so a missing GITHUB_TOKEN only fails storage operations.
+ */
+class GitHubImageStorage {
+  constructor() {
+    // Parse GITHUB_REPO environment variable (format: "owner/repo")
+    const repoPath = process.env.GITHUB_REPO || 'daveenci-ai/daveenci-ai-avatar-images';
+    const [owner, repo] = repoPath.split('/');
+
+    this.name = 'github';
+    this.owner = owner;
+    this.repo = repo;
+    this.branch = 'main'; // Default to main branch
+    this.octokit = null;
+    // Raw GitHub URLs can be fetched by the image provider
+    this.publicUrls = true;
+    this.origins = ['https://raw.githubusercontent.com'];
+  }
+
+  /**
+   * GitHub API client, created on first use with the Personal Access Token
+   */
+  client() {
+    if (!this.owner || !this.repo) {
+      throw new Error('Invalid GITHUB_REPO format. Expected: "owner/repository"');
+    }
+
+    if (!process.env.GITHUB_TOKEN) {
+      throw new Error('GITHUB_TOKEN environment variable is required for GitHub API authentication');
+    }
+
+    if (!this.octokit) {
+      this.octokit = new Octokit({
+        auth: process.env.GITHUB_TOKEN,
+      });
+    }
+    return this.octokit;
+  }
+
+  /**
+   * Check if file exists and get its SHA
+   */
+  async getFileInfo(path) {
+    try {
+      const response = await this.client().repos.getContent({
+        owner: this.owner,
+        repo: this.repo,
+        path: path,
+        ref: this.branch
+      });
+
+      return {
+        exists: true,
+        sha: response.data.sha
+      };
+    } catch (error) {
+      if (error.status === 404) {
+        return { exists: false, sha: null };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Commit several files at once through the Git Data API: a blob per file,
+   * then a tree on top of the branch head and a commit the branch is
+   * fast-forwarded to. If the branch moved in the meantime, the commit is
+   * rebuilt on the new head.
+   */
+  async putMany(files, { message } = {}, maxRetries = 3) {
+    const client = this.client();
+    const ref = `heads/${this.branch}`;
+
+    // Blobs don't depend on the branch, so they are only created once
+    const tree = [];
+    for (const file of files) {
+      const { data: blob } = await client.git.createBlob({
+        owner: this.owner,
+        repo: this.repo,
+        content: file.buffer.toString('base64'),
+        encoding: 'base64'
+      });
+      tree.push({ path: file.key, mode: '100644', type: 'blob', sha: blob.sha });
+    }
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      const { data: head } = await client.git.getRef({ owner: this.owner, repo: this.repo, ref });
+      const { data: parent } = await client.git.getCommit({
+        owner: this.owner,
+        repo: this.repo,
+        commit_sha: head.object.sha
+      });
+      const { data: newTree } = await client.git.createTree({
+        owner: this.owner,
+        repo: this.repo,
+        base_tree: parent.tree.sha,
+        tree
+      });
+      const { data: commit } = await client.git.createCommit({
+        owner: this.owner,
+        repo: this.repo,
+        message: message || `Add ${files.length} files`,
+        tree: newTree.sha,
+        parents: [parent.sha]
+      });
+
+      try {
+        await client.git.updateRef({ owner: this.owner, repo: this.repo, ref, sha: commit.sha, force: false });
+        console.log(`✅ Committed ${files.length} file(s) on attempt ${attempt}: ${commit.sha}`);
+        return files.map(file => ({ key: file.key, url: this.storedUrl(file.key) }));
+      } catch (error) {
+        // 422: the branch moved after it was read, so this isn't a fast-forward
+        if (error.status !== 422 || attempt === maxRetries) {
+          throw error;
+        }
+
+        console.log(`🔄 ${this.branch} moved, rebuilding commit in ${attempt * 1000}ms...`);
+        await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+      }
+    }
+  }
+
+  /**
+   * Commit a file to the repository
+   */
+  async put(key, buffer, { message } = {}) {
+    const [stored] = await this.putMany([{ key, buffer }], { message: message || `Add ${key}` });
+    return stored;
+  }
+
+  /**
+   * Read a file's bytes through the blob API, which isn't limited to 1MB
+   * like the contents API
+   */
+  async get(key) {
+    const fileInfo = await this.getFileInfo(key);
+    if (!fileInfo.exists) {
+      throw new Error(`File not found: ${key}`);
+    }
+
+    const response = await this.client().git.getBlob({
+      owner: this.owner,
+      repo: this.repo,
+      file_sha: fileInfo.sha
+    });
+    return Buffer.from(response.data.content, response.data.encoding);
+  }
+
+  async exists(key) {
+    return (await this.getFileInfo(key)).exists;
+  }
+
+  /**
+   * Delete a file from the repository
+   */
+  async delete(key) {
+    // Get file info first to get SHA
+    const fileInfo = await this.getFileInfo(key);
+
+    if (!fileInfo.exists) {
+      console.log(`⚠️ File does not exist: ${key}`);
+      return { deleted: false };
+    }
+
+    await this.client().repos.deleteFile({
+      owner: this.owner,
+      repo: this.repo,
+      path: key,
+      message: `Delete image: ${key}`,
+      sha: fileInfo.sha,
+      branch: this.branch
+    });
+    return { deleted: true };
+  }
+
+  /**
+   * Keys of the files directly under a folder; GitHub doesn't track empty folders
+   */
+  async list(prefix) {
+    try {
+      const response = await this.client().repos.getContent({
+        owner: this.owner,
+        repo: this.repo,
+        path: prefix.replace(/\/$/, ''),
+        ref: this.branch
+      });
+
+      return Array.isArray(response.data)
+        ? response.data.filter(entry => entry.type === 'file').map(entry => entry.path)
+        : [];
+    } catch (error) {
+      if (error.status === 404) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Raw GitHub URL of a file
+   */
+  storedUrl(key) {
+    return `https://raw.githubusercontent.com/${this.owner}/${this.repo}/${this.branch}/${key}`;
+  }
+
+  /**
+   * Key of a raw GitHub URL in this repository, or null
+   */
+  keyFromUrl(url) {
+    const base = this.storedUrl('');
+    return url && url.startsWith(base) ? url.slice(base.length) : null;
+  }
+
+  /**
+   * Test GitHub connection
+   */
+  async testConnection() {
+    try {
+      const response = await this.client().repos.get({
+        owner: this.owner,
+        repo: this.repo
+      });
+
+      console.log(`✅ GitHub connection successful: ${response.data.full_name}`);
+      return true;
+    } catch (error) {
+      console.error('GitHub connection test failed:', error);
+      throw new Error(`GitHub connection failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new GitHubImageStorage();
@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const imageProvider = require('../providers');
+const { loadBackend, contentType } = require('./backends');
+
+// Image storage backend, selected with STORAGE_BACKEND (default "github")
+const backendName = (process.env.STORAGE_BACKEND || 'github').toLowerCase();
+
+const safeName = (avatarName) => avatarName.toLowerCase().replace(/[^a-z0-9]/g, '-');
+
+/**
+ * Extension matching an image's bytes; generated images come back in the
+ * model's output format (and as SVG from the fake provider)
+ */
+const imageExtension = (buffer) => {
+  const header = buffer.subarray(0, 12);
+
+  if (header[0] === 0x89 && header.toString('ascii', 1, 4) === 'PNG') {
+    return 'png';
+  }
+  if (header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  if (header.toString('ascii', 0, 3) === 'GIF') {
+    return 'gif';
+  }
+  if (/^\s*(<\?xml|<svg)/.test(buffer.toString('utf8', 0, 100))) {
+    return 'svg';
+  }
+  return 'jpg';
+};
+
+/**
+ * Where generated, processed and input images are kept; lays files out by
+ * avatar on the configured backend
+ */
+class ImageStorage {
+  constructor(backend) {
+    this.backend = backend;
+  }
+
+  get name() {
+    return this.backend.name;
+  }
+
+  /**
+   * Origins the browser loads stored images from, for the CSP
+   */
+  get origins() {
+    return this.backend.origins || [];
+  }
+
+  /**
+   * Generate a unique filename for the image
+   */
+  generateFilename(prompt, avatarName, extension = 'jpg') {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const promptHash = crypto.createHash('md5').update(prompt).digest('hex').substring(0, 8);
+    const randomSuffix = crypto.randomBytes(4).toString('hex'); // Add random suffix to ensure uniqueness
+
+    return `${timestamp}_${safeName(avatarName)}_${promptHash}_${randomSuffix}.${extension}`;
+  }
+
+  /**
+   * Download a generated image from the provider and store it in the avatar's folder
+   */
+  async uploadImage(imageUrl, prompt, avatarName) {
+    try {
+      console.log(`📸 Downloading image from ${imageProvider.name}...`);
+      const buffer = await imageProvider.fetchOutput(imageUrl);
+
+      const key = `avatars/${safeName(avatarName)}/${this.generateFilename(prompt, avatarName, imageExtension(buffer))}`;
+      console.log(`📤 Storing image on ${this.name}: ${key}`);
+
+      const { url } = await this.backend.put(key, buffer, {
+        message: `Add generated image: ${avatarName} - ${prompt.substring(0, 50)}...`,
+        contentType: contentType(key)
+      });
+
+      console.log(`✅ Image stored successfully: ${url}`);
+      return { url };
+    } catch (error) {
+      console.error(`Error storing image on ${this.name}:`, error);
+      throw new Error(`Failed to store image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Download several generated images and store them together, in a single
+   * commit on backends with putMany. Returns a { url } or { error } per image,
+   * in order.
+   */
+  async uploadImages(images) {
+    const results = [];
+    const files = [];
+
+    for (const [index, { imageUrl, prompt, avatarName }] of images.entries()) {
+      try {
+        const buffer = await imageProvider.fetchOutput(imageUrl);
+        const key = `avatars/${safeName(avatarName)}/${this.generateFilename(prompt, avatarName, imageExtension(buffer))}`;
+        files.push({ index, key, buffer, contentType: contentType(key) });
+      } catch (error) {
+        console.error(`Error downloading image from ${imageProvider.name}:`, error);
+        results[index] = { error: `Failed to download image: ${error.message}` };
+      }
+    }
+
+    if (files.length === 0) {
+      return results;
+    }
+
+    console.log(`📤 Storing ${files.length} images on ${this.name}`);
+
+    if (this.backend.putMany) {
+      try {
+        const stored = await this.backend.putMany(files, { message: `Add ${files.length} generated images` });
+        stored.forEach(({ url }, position) => {
+          results[files[position].index] = { url };
+        });
+      } catch (error) {
+        console.error(`Error storing images on ${this.name}:`, error);
+        for (const file of files) {
+          results[file.index] = { error: `Failed to store image: ${error.message}` };
+        }
+      }
+      return results;
+    }
+
+    for (const file of files) {
+      try {
+        const { url } = await this.backend.put(file.key, file.buffer, {
+          message: `Add generated image: ${file.key}`,
+          contentType: file.contentType
+        });
+        results[file.index] = { url };
+      } catch (error) {
+        console.error(`Error storing image on ${this.name}:`, error);
+        results[file.index] = { error: `Failed to store image: ${error.message}` };
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Store the post-processed variant of an image next to the avatar's originals
+   */
+  async uploadProcessedImage(imageBuffer, extension, prompt, avatarName) {
+    try {
+      const key = `avatars/${safeName(avatarName)}/processed/${this.generateFilename(prompt, avatarName, extension)}`;
+      console.log(`📤 Storing processed image on ${this.name}: ${key}`);
+
+      const { url } = await this.backend.put(key, imageBuffer, {
+        message: `Add processed image: ${avatarName} - ${prompt.substring(0, 50)}...`,
+        contentType: contentType(key)
+      });
+
+      console.log(`✅ Processed image stored successfully: ${url}`);
+      return { url };
+    } catch (error) {
+      console.error(`Error storing processed image on ${this.name}:`, error);
+      throw new Error(`Failed to store processed image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store an input image for a generation: a reference image or an inpainting mask
+   */
+  async uploadInputImage(imageBuffer, extension, avatarName, kind = 'reference') {
+    try {
+      const key = `${kind}s/${safeName(avatarName)}/${this.generateFilename(kind, avatarName, extension)}`;
+      console.log(`📤 Storing ${kind} image on ${this.name}: ${key}`);
+
+      const { url } = await this.backend.put(key, imageBuffer, {
+        message: `Add ${kind} image: ${avatarName}`,
+        contentType: contentType(key)
+      });
+
+      console.log(`✅ Stored ${kind} image: ${url}`);
+      return { url };
+    } catch (error) {
+      console.error(`Error storing ${kind} image on ${this.name}:`, error);
+      throw new Error(`Failed to store ${kind} image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a stored image by its URL. URLs from another backend are left alone.
+   */
+  async deleteImage(url) {
+    const key = this.backend.keyFromUrl(url);
+    if (!key) {
+      console.log(`⚠️ Not a ${this.name} URL, leaving it in place: ${url}`);
+      return { success: false, message: `Image is not stored on ${this.name}` };
+    }
+
+    try {
+      console.log(`🗑️ Deleting image from ${this.name}: ${key}`);
+      const { deleted } = await this.backend.delete(key);
+
+      if (!deleted) {
+        return { success: true, message: 'File not found (already deleted)' };
+      }
+
+      console.log(`✅ Image deleted successfully: ${key}`);
+      return { success: true, message: 'Image deleted successfully' };
+    } catch (error) {
+      console.error(`Error deleting image from ${this.name}:`, error);
+      throw new Error(`Failed to delete image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Storage key of a URL recorded by this backend, or null
+   */
+  keyFromUrl(url) {
+    return this.backend.keyFromUrl(url);
+  }
+
+  /**
+   * URL of a stored file that the image provider can fetch. Files of backends
+   * without public URLs are presigned, or passed inline as data URLs.
+   */
+  async providerUrl(url) {
+    const key = this.backend.keyFromUrl(url);
+    if (!key || this.backend.publicUrls) {
+      return url;
+    }
+
+    if (this.backend.presignedUrl) {
+      return this.backend.presignedUrl(key);
+    }
+
+    const buffer = await this.backend.get(key);
+    return `data:${contentType(key)};base64,${buffer.toString('base64')}`;
+  }
+
+  /**
+   * URL the browser loads a stored file from: recorded keys of files that
+   * aren't public become expiring /api/media URLs, anything else is returned
+   * as it is
+   */
+  displayUrl(url) {
+    const key = url ? this.backend.keyFromUrl(url) : null;
+    if (!key || this.backend.publicUrls || !this.backend.signedUrl) {
+      return url;
+    }
+    return this.backend.signedUrl(key);
+  }
+
+  /**
+   * Prediction input with its input image and mask made fetchable by the provider
+   */
+  async providerInput(input) {
+    return {
+      ...input,
+      ...(input.image && { image: await this.providerUrl(input.image) }),
+      ...(input.mask && { mask: await this.providerUrl(input.mask) })
+    };
+  }
+
+  /**
+   * A file requested through /api/media: { redirectUrl } for backends with
+   * presigned URLs, { buffer, contentType } otherwise. Null when the backend
+   * doesn't serve files through the app, the signature doesn't match or has
+   * expired, or the file is gone.
+   */
+  async media(key, expires, signature) {
+    if (!this.backend.verify || !this.backend.verify(key, expires, signature)) {
+      return null;
+    }
+
+    if (this.backend.presignedUrl) {
+      return { redirectUrl: await this.backend.presignedUrl(key) };
+    }
+
+    try {
+      return { buffer: await this.backend.get(key), contentType: contentType(key) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether an avatar's folder still holds images
+   */
+  async deleteAvatarFolderIfEmpty(avatarName) {
+    const folderPath = `avatars/${safeName(avatarName)}`;
+
+    try {
+      console.log(`🔍 Checking if avatar folder is empty: ${folderPath}`);
+      const keys = await this.backend.list(folderPath);
+
+      if (keys.length === 0) {
+        // Backends drop folders along with their last file, so there is nothing to delete
+        console.log(`📁 Avatar folder is empty: ${folderPath}`);
+        return { success: true, message: 'Folder is empty (no files to delete)' };
+      }
+
+      console.log(`📁 Avatar folder still has ${keys.length} files`);
+      return { success: true, message: 'Folder still has files' };
+    } catch (error) {
+      console.error('Error checking avatar folder:', error);
+      // Don't throw error for folder cleanup, just log it
+      return { success: false, message: error.message };
+    }
+  }
+}
+
+module.exports = new ImageStorage(loadBackend(backendName));
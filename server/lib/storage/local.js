@@ -0,0 +1,116 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { isValidKey, verifyMediaSignature, mediaUrl } = require('./mediaUrls');
+
+/**
+ * Stores files under a directory on disk (STORAGE_LOCAL_DIR) and serves them
+ * through expiring /api/media URLs. Images record the bare key.
+ */
+class LocalImageStorage {
+  constructor() {
+    this.name = 'local';
+    this.root = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../../media'));
+    // Files are only served to this app, so providers get them inline
+    this.publicUrls = false;
+  }
+
+  /**
+   * Path of a key inside the storage directory
+   */
+  filePath(key) {
+    if (!isValidKey(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(this.root, ...key.split('/'));
+  }
+
+  verify(key, expires, signature) {
+    return verifyMediaSignature(key, expires, signature);
+  }
+
+  /**
+   * Write a file, creating its folders
+   */
+  async put(key, buffer) {
+    const filePath = this.filePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return { key, url: this.storedUrl(key) };
+  }
+
+  async get(key) {
+    return fs.readFile(this.filePath(key));
+  }
+
+  async exists(key) {
+    try {
+      await fs.access(this.filePath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a file and the folders it leaves empty
+   */
+  async delete(key) {
+    const filePath = this.filePath(key);
+
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`⚠️ File does not exist: ${key}`);
+        return { deleted: false };
+      }
+      throw error;
+    }
+
+    for (let folder = path.dirname(filePath); folder !== this.root; folder = path.dirname(folder)) {
+      try {
+        await fs.rmdir(folder);
+      } catch (error) {
+        break; // Not empty
+      }
+    }
+    return { deleted: true };
+  }
+
+  /**
+   * Keys of the files directly under a folder
+   */
+  async list(prefix) {
+    const folder = prefix.replace(/\/$/, '');
+
+    try {
+      const entries = await fs.readdir(this.filePath(folder), { withFileTypes: true });
+      return entries.filter(entry => entry.isFile()).map(entry => `${folder}/${entry.name}`);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  storedUrl(key) {
+    return key;
+  }
+
+  keyFromUrl(url) {
+    return isValidKey(url) ? url : null;
+  }
+
+  /**
+   * Expiring /api/media URL of a file
+   */
+  signedUrl(key) {
+    return mediaUrl(key);
+  }
+}
+
+module.exports = new LocalImageStorage();
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+// Keys are slash-separated names; anything else could escape a folder
+const KEY_PATTERN = /^[\w-]+(\.[\w-]+)*(\/[\w-]+(\.[\w-]+)*)*$/;
+
+// How long media URLs handed to the frontend stay valid
+const DEFAULT_URL_EXPIRES_SECONDS = 24 * 60 * 60;
+
+// Expiry times are rounded up to the hour, so a URL stays the same (and cached) within it
+const EXPIRY_ROUNDING_SECONDS = 60 * 60;
+
+/**
+ * Expiring /api/media URLs for backends whose files aren't public. Images
+ * record only their storage key; URLs are signed when images are sent to a
+ * user who can see them. The HMAC covers the key and expiry time, so browsers
+ * can load the URLs in <img> tags without the user's token until they expire.
+ * They are signed with STORAGE_SIGNING_SECRET, falling back to JWT_SECRET.
+ * STORAGE_MEDIA_URL makes them absolute when the frontend runs on another
+ * origin.
+ */
+const mediaBaseUrl = () => (process.env.STORAGE_MEDIA_URL || '/api/media').replace(/\/$/, '');
+
+const urlExpiresSeconds = () => parseInt(process.env.STORAGE_MEDIA_URL_EXPIRES_SECONDS, 10) || DEFAULT_URL_EXPIRES_SECONDS;
+
+const isValidKey = (key) => typeof key === 'string' && KEY_PATTERN.test(key);
+
+const sign = (key, expires) => {
+  const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('STORAGE_SIGNING_SECRET or JWT_SECRET is required to sign media URLs');
+  }
+  return crypto.createHmac('sha256', secret).update(`${key}\n${expires}`).digest('base64url');
+};
+
+/**
+ * Whether a media URL's signature was issued for a key and hasn't expired
+ */
+const verifyMediaSignature = (key, expires, signature) => {
+  if (typeof signature !== 'string' || typeof expires !== 'string' || !/^\d+$/.test(expires) || !isValidKey(key)) {
+    return false;
+  }
+  if (Number(expires) * 1000 < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(key, expires));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const mediaUrl = (key) => {
+  const validFor = Date.now() / 1000 + urlExpiresSeconds();
+  const expires = String(Math.ceil(validFor / EXPIRY_ROUNDING_SECONDS) * EXPIRY_ROUNDING_SECONDS);
+  return `${mediaBaseUrl()}/${key}?exp=${expires}&sig=${sign(key, expires)}`;
+};
+
+module.exports = {
+  isValidKey,
+  verifyMediaSignature,
+  mediaUrl
+};
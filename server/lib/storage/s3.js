@@ -0,0 +1,206 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { isValidKey, verifyMediaSignature, mediaUrl } = require('./mediaUrls');
+
+// Lifetime of presigned read URLs; /api/media caches its redirects for 5 minutes at most
+const DEFAULT_URL_EXPIRES_SECONDS = 60 * 60;
+const MIN_URL_EXPIRES_SECONDS = 10 * 60;
+
+const isNotFound = (error) => error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+/**
+ * Stores files in an S3-compatible bucket (S3_BUCKET; S3_ENDPOINT for MinIO
+ * and other non-AWS services). Keys are stored under S3_PREFIX. With
+ * S3_PUBLIC_URL (a public bucket or CDN) files are linked directly; otherwise
+ * images record the bare key and files are served through expiring /api/media
+ * URLs that redirect to presigned S3 URLs. Configuration is checked on first use.
+ */
+class S3ImageStorage {
+  constructor() {
+    this.name = 's3';
+    this.bucket = process.env.S3_BUCKET;
+    this.region = process.env.S3_REGION || 'us-east-1';
+    this.endpoint = process.env.S3_ENDPOINT ? process.env.S3_ENDPOINT.replace(/\/$/, '') : null;
+    this.prefix = (process.env.S3_PREFIX || '').replace(/^\/+|\/+$/g, '');
+    this.publicBaseUrl = process.env.S3_PUBLIC_URL ? process.env.S3_PUBLIC_URL.replace(/\/$/, '') : null;
+    this.urlExpiresSeconds = Math.max(
+      parseInt(process.env.S3_URL_EXPIRES_SECONDS, 10) || DEFAULT_URL_EXPIRES_SECONDS,
+      MIN_URL_EXPIRES_SECONDS
+    );
+    this.publicUrls = Boolean(this.publicBaseUrl);
+    this.s3 = null;
+  }
+
+  /**
+   * S3 client, created on first use. Credentials come from S3_ACCESS_KEY_ID
+   * and S3_SECRET_ACCESS_KEY, or the usual AWS environment and profiles.
+   */
+  client() {
+    if (!this.bucket) {
+      throw new Error('S3_BUCKET environment variable is required for S3 storage');
+    }
+
+    if (!this.s3) {
+      this.s3 = new S3Client({
+        region: this.region,
+        ...(this.endpoint && {
+          endpoint: this.endpoint,
+          // MinIO and most other S3-compatible services don't do bucket subdomains
+          forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+        }),
+        ...(process.env.S3_ACCESS_KEY_ID && {
+          credentials: {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+          }
+        })
+      });
+    }
+    return this.s3;
+  }
+
+  /**
+   * Object key of a storage key
+   */
+  objectKey(key) {
+    return this.prefix ? `${this.prefix}/${key}` : key;
+  }
+
+  /**
+   * Origins browsers load images from: the public URL, or the bucket's
+   * endpoint that presigned URLs point at
+   */
+  get origins() {
+    if (this.publicBaseUrl) {
+      return [new URL(this.publicBaseUrl).origin];
+    }
+    if (this.endpoint) {
+      return [new URL(this.endpoint).origin];
+    }
+    return this.bucket ? [`https://${this.bucket}.s3.${this.region}.amazonaws.com`] : [];
+  }
+
+  verify(key, expires, signature) {
+    return verifyMediaSignature(key, expires, signature);
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    await this.client().send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: buffer,
+      ContentType: contentType
+    }));
+    return { key, url: this.storedUrl(key) };
+  }
+
+  async get(key) {
+    try {
+      const response = await this.client().send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (isNotFound(error)) {
+        throw Object.assign(new Error(`File not found: ${key}`), { code: 'ENOENT' });
+      }
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      await this.client().send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an object; S3 deletes succeed for missing objects, so check first
+   */
+  async delete(key) {
+    if (!(await this.exists(key))) {
+      console.log(`⚠️ File does not exist: ${key}`);
+      return { deleted: false };
+    }
+
+    await this.client().send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+    return { deleted: true };
+  }
+
+  /**
+   * Keys of the files directly under a folder
+   */
+  async list(prefix) {
+    const folder = prefix.replace(/\/$/, '');
+    const keys = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client().send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: `${this.objectKey(folder)}/`,
+        Delimiter: '/',
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of response.Contents || []) {
+        keys.push(this.prefix ? object.Key.slice(this.prefix.length + 1) : object.Key);
+      }
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return keys;
+  }
+
+  /**
+   * Short-lived URL that reads an object straight from the bucket
+   */
+  async presignedUrl(key) {
+    return getSignedUrl(
+      this.client(),
+      new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }),
+      { expiresIn: this.urlExpiresSeconds }
+    );
+  }
+
+  storedUrl(key) {
+    return this.publicBaseUrl ? `${this.publicBaseUrl}/${this.objectKey(key)}` : key;
+  }
+
+  keyFromUrl(url) {
+    if (this.publicBaseUrl) {
+      const base = `${this.publicBaseUrl}/${this.prefix ? `${this.prefix}/` : ''}`;
+      return url && url.startsWith(base) ? url.slice(base.length) : null;
+    }
+    return isValidKey(url) ? url : null;
+  }
+
+  /**
+   * Expiring /api/media URL of a private file
+   */
+  signedUrl(key) {
+    return mediaUrl(key);
+  }
+}
+
+module.exports = new S3ImageStorage();
@@ -0,0 +1,88 @@
+/**
+ * Where an avatar's trigger word goes when the prompt doesn't already contain it:
+ * PREPEND and APPEND add it, TOKEN only places it where @avatar is written and
+ * EXPLICIT refuses prompts without it.
+ */
+const TRIGGER_PLACEMENTS = ['PREPEND', 'APPEND', 'TOKEN', 'EXPLICIT'];
+
+const DEFAULT_TRIGGER_PLACEMENT = 'PREPEND';
+
+// @avatar (or @avatar1) is the first LoRA of a generation, @avatar2... the blended ones.
+// Only standalone tokens count, not ones inside emails or words like me@avatar.com
+const TOKEN_PATTERN = /(?<![\w@.-])@avatar(\d*)(?![\w@-]|\.\w)/gi;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Token standing for the LoRA at `index`
+ */
+const triggerToken = (index) => (index === 0 ? '@avatar' : `@avatar${index + 1}`);
+
+/**
+ * Whether a prompt contains a trigger word as a whole word, ignoring case
+ */
+const containsTriggerWord = (prompt, triggerWord) => new RegExp(
+  `(?<![\\p{L}\\p{N}_])${escapeRegExp(triggerWord)}(?![\\p{L}\\p{N}_])`,
+  'iu'
+).test(prompt);
+
+/**
+ * Place the trigger word of each LoRA ([{ triggerWord, triggerPlacement }])
+ * in a prompt. @avatar tokens are replaced whatever the placement.
+ * Returns { prompt } or { error }.
+ */
+const applyTriggerWords = (prompt, loras) => {
+  let tokenError = null;
+  const placed = prompt.replace(TOKEN_PATTERN, (token, position) => {
+    // @avatar0 and numbers past the blended avatars point at nothing
+    const index = Number(position || 1) - 1;
+    if (index < 0 || index >= loras.length) {
+      tokenError = tokenError || `${token} does not match an avatar: this generation uses ${loras.length}`;
+      return token;
+    }
+
+    if (!loras[index].triggerWord) {
+      tokenError = tokenError || `${token} does not match a LoRA with a trigger word`;
+      return token;
+    }
+    return loras[index].triggerWord;
+  });
+
+  if (tokenError) {
+    return { error: tokenError };
+  }
+
+  const prepend = [];
+  const append = [];
+  for (const [index, lora] of loras.entries()) {
+    if (!lora.triggerWord || containsTriggerWord(placed, lora.triggerWord)) {
+      continue;
+    }
+
+    switch (lora.triggerPlacement || DEFAULT_TRIGGER_PLACEMENT) {
+      case 'APPEND':
+        append.push(lora.triggerWord);
+        break;
+      case 'TOKEN':
+        break;
+      case 'EXPLICIT':
+        return { error: `The prompt must include the trigger word "${lora.triggerWord}" or ${triggerToken(index)}` };
+      default:
+        prepend.push(lora.triggerWord);
+    }
+  }
+
+  return {
+    prompt: [
+      ...prepend,
+      append.length > 0 ? `${placed}, ${append.join(' ')}` : placed
+    ].join(' ')
+  };
+};
+
+module.exports = {
+  TRIGGER_PLACEMENTS,
+  DEFAULT_TRIGGER_PLACEMENT,
+  containsTriggerWord,
+  applyTriggerWords
+};
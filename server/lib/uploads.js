@@ -0,0 +1,42 @@
+// Image types accepted as uploads, with the extension they are stored under
+const IMAGE_UPLOAD_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+const MAX_IMAGE_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+const DATA_URL_PATTERN = /^data:([a-z]+\/[a-z0-9.+-]+);base64,([a-z0-9+/=\s]+)$/i;
+
+/**
+ * Decode an image uploaded as a base64 data URL.
+ * Returns { buffer, extension } or { error } with a user-facing message.
+ */
+const decodeImageUpload = (dataUrl) => {
+  const match = DATA_URL_PATTERN.exec(dataUrl);
+  if (!match) {
+    return { error: 'Images must be uploaded as base64 data URLs' };
+  }
+
+  const extension = IMAGE_UPLOAD_TYPES[match[1].toLowerCase()];
+  if (!extension) {
+    return { error: 'Images must be JPEG, PNG or WebP' };
+  }
+
+  const buffer = Buffer.from(match[2], 'base64');
+  if (buffer.length === 0) {
+    return { error: 'Uploaded image is empty' };
+  }
+
+  if (buffer.length > MAX_IMAGE_UPLOAD_BYTES) {
+    return { error: `Images are limited to ${MAX_IMAGE_UPLOAD_BYTES / 1024 / 1024}MB` };
+  }
+
+  return { buffer, extension };
+};
+
+module.exports = {
+  MAX_IMAGE_UPLOAD_BYTES,
+  decodeImageUpload
+};
@@ -0,0 +1,152 @@
+-- Baseline: the schema as it was managed with `prisma db push`, before
+-- migrations were introduced. Existing databases already have it; mark it
+-- applied with `npx prisma migrate resolve --applied 0_init` instead of
+-- running it.
+
+-- CreateEnum
+CREATE TYPE "status" AS ENUM ('ACTIVE', 'INACTIVE', 'PENDING');
+
+-- CreateEnum
+CREATE TYPE "touchpoint_source" AS ENUM ('MANUAL', 'EMAIL', 'PHONE', 'WEBSITE', 'SOCIAL');
+
+-- CreateTable
+CREATE TABLE "users" (
+    "id" SERIAL NOT NULL,
+    "email" TEXT NOT NULL,
+    "name" TEXT,
+    "password" TEXT NOT NULL,
+    "validated" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "users_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "contacts" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "primary_email" TEXT NOT NULL,
+    "secondary_email" TEXT,
+    "primary_phone" TEXT,
+    "secondary_phone" TEXT,
+    "company" TEXT,
+    "industry" TEXT,
+    "website" TEXT,
+    "address" TEXT,
+    "source" TEXT,
+    "status" "status" NOT NULL,
+    "notes" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "user_id" INTEGER NOT NULL,
+
+    CONSTRAINT "contacts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "avatars" (
+    "id" BIGSERIAL NOT NULL,
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "contact_id" INTEGER,
+    "full_name" VARCHAR(255) NOT NULL,
+    "replicate_model_url" TEXT NOT NULL,
+    "trigger_word" VARCHAR(100) NOT NULL,
+    "description" TEXT,
+    "visible" BOOLEAN NOT NULL DEFAULT true,
+
+    CONSTRAINT "avatars_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "avatars_generated" (
+    "id" BIGSERIAL NOT NULL,
+    "avatar_id" BIGINT NOT NULL,
+    "prompt" TEXT NOT NULL,
+    "github_image_url" TEXT NOT NULL,
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "avatars_generated_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "events" (
+    "id" SERIAL NOT NULL,
+    "event_date" TIMESTAMP(3),
+    "event_name" TEXT,
+    "event_address" TEXT,
+    "event_type" TEXT,
+    "event_description" TEXT,
+    "event_capacity" INTEGER,
+    "event_status" TEXT,
+    "dt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "dt_updated" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "event_participants" (
+    "id" SERIAL NOT NULL,
+    "event_id" INTEGER,
+    "full_name" TEXT,
+    "email" TEXT,
+    "phone" TEXT,
+    "company_name" TEXT,
+    "website" TEXT,
+    "notes" TEXT,
+    "dt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "dt_updated" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "event_participants_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "touchpoints" (
+    "id" SERIAL NOT NULL,
+    "note" TEXT NOT NULL,
+    "source" "touchpoint_source" NOT NULL DEFAULT 'MANUAL',
+    "contact_id" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "touchpoints_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_email_key" ON "users"("email");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "avatars_replicate_model_url_key" ON "avatars"("replicate_model_url");
+
+-- CreateIndex
+CREATE INDEX "idx_avatars_generated_avatar_id" ON "avatars_generated"("avatar_id");
+
+-- CreateIndex
+CREATE INDEX "idx_events_date" ON "events"("event_date");
+
+-- CreateIndex
+CREATE INDEX "idx_events_status" ON "events"("event_status");
+
+-- CreateIndex
+CREATE INDEX "idx_events_type" ON "events"("event_type");
+
+-- CreateIndex
+CREATE INDEX "idx_participants_email" ON "event_participants"("email");
+
+-- CreateIndex
+CREATE INDEX "idx_participants_event" ON "event_participants"("event_id");
+
+-- AddForeignKey
+ALTER TABLE "contacts" ADD CONSTRAINT "contacts_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "avatars" ADD CONSTRAINT "avatars_contact_id_fkey" FOREIGN KEY ("contact_id") REFERENCES "contacts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "avatars_generated" ADD CONSTRAINT "fk_avatar" FOREIGN KEY ("avatar_id") REFERENCES "avatars"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_participants" ADD CONSTRAINT "event_participants_event_id_fkey" FOREIGN KEY ("event_id") REFERENCES "events"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "touchpoints" ADD CONSTRAINT "touchpoints_contact_id_fkey" FOREIGN KEY ("contact_id") REFERENCES "contacts"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,66 @@
+-- CreateEnum
+CREATE TYPE "generation_status" AS ENUM ('QUEUED', 'RUNNING', 'SUCCEEDED', 'FAILED', 'CANCELED');
+
+-- CreateTable
+CREATE TABLE "generation_jobs" (
+    "id" BIGSERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "avatar_id" BIGINT NOT NULL,
+    "status" "generation_status" NOT NULL DEFAULT 'QUEUED',
+    "prompt" TEXT NOT NULL,
+    "input" JSONB NOT NULL,
+    "error" TEXT,
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "started_at" TIMESTAMPTZ,
+    "completed_at" TIMESTAMPTZ,
+
+    CONSTRAINT "generation_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "generation_predictions" (
+    "id" BIGSERIAL NOT NULL,
+    "job_id" BIGINT NOT NULL,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "prediction_id" TEXT,
+    "status" "generation_status" NOT NULL DEFAULT 'QUEUED',
+    "input" JSONB NOT NULL,
+    "error" TEXT,
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "started_at" TIMESTAMPTZ,
+    "completed_at" TIMESTAMPTZ,
+
+    CONSTRAINT "generation_predictions_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "avatars_generated" ADD COLUMN "job_id" BIGINT;
+
+-- CreateIndex
+CREATE INDEX "generation_jobs_user_id_created_at_idx" ON "generation_jobs"("user_id", "created_at");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "generation_predictions_prediction_id_key" ON "generation_predictions"("prediction_id");
+
+-- CreateIndex
+CREATE INDEX "generation_predictions_job_id_idx" ON "generation_predictions"("job_id");
+
+-- CreateIndex
+CREATE INDEX "generation_predictions_status_idx" ON "generation_predictions"("status");
+
+-- CreateIndex
+CREATE INDEX "avatars_generated_job_id_idx" ON "avatars_generated"("job_id");
+
+-- AddForeignKey
+ALTER TABLE "generation_jobs" ADD CONSTRAINT "generation_jobs_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "generation_jobs" ADD CONSTRAINT "generation_jobs_avatar_id_fkey" FOREIGN KEY ("avatar_id") REFERENCES "avatars"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "generation_predictions" ADD CONSTRAINT "generation_predictions_job_id_fkey" FOREIGN KEY ("job_id") REFERENCES "generation_jobs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "avatars_generated" ADD CONSTRAINT "avatars_generated_job_id_fkey" FOREIGN KEY ("job_id") REFERENCES "generation_jobs"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "generation_predictions" ADD COLUMN "provider_status" TEXT,
+ADD COLUMN "progress" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN "logs" TEXT;
@@ -0,0 +1,35 @@
+-- CreateEnum
+CREATE TYPE "review_status" AS ENUM ('PENDING', 'APPROVED', 'REJECTED', 'UPLOAD_FAILED');
+
+-- AlterTable
+ALTER TABLE "avatars_generated" ADD COLUMN "review_status" "review_status" NOT NULL DEFAULT 'PENDING',
+ADD COLUMN "source_url" TEXT,
+ADD COLUMN "stored_url" TEXT,
+ADD COLUMN "reviewed_at" TIMESTAMPTZ;
+
+-- Convert existing rows from the github_image_url prefix convention
+-- "PENDING_REVIEW:<replicate url>" -> pending review, provider URL kept as source
+UPDATE "avatars_generated"
+SET "review_status" = 'PENDING',
+    "source_url" = substring("github_image_url" from length('PENDING_REVIEW:') + 1)
+WHERE "github_image_url" LIKE 'PENDING_REVIEW:%';
+
+-- Raw GitHub URL -> approved and stored
+UPDATE "avatars_generated"
+SET "review_status" = 'APPROVED',
+    "stored_url" = "github_image_url",
+    "reviewed_at" = "created_at"
+WHERE "github_image_url" LIKE 'https://raw.githubusercontent.com/%';
+
+-- Anything else was never stored; keep the URL as source so it can be retried
+UPDATE "avatars_generated"
+SET "review_status" = 'UPLOAD_FAILED',
+    "source_url" = "github_image_url"
+WHERE "github_image_url" NOT LIKE 'PENDING_REVIEW:%'
+  AND "github_image_url" NOT LIKE 'https://raw.githubusercontent.com/%';
+
+-- AlterTable
+ALTER TABLE "avatars_generated" DROP COLUMN "github_image_url";
+
+-- CreateIndex
+CREATE INDEX "avatars_generated_review_status_idx" ON "avatars_generated"("review_status");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "avatars_generated" ADD COLUMN "parameters" JSONB,
+ADD COLUMN "seed" BIGINT,
+ADD COLUMN "model" TEXT,
+ADD COLUMN "model_version" TEXT;
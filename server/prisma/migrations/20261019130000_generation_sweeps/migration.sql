@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "generation_jobs" ADD COLUMN "sweep" JSONB;
+
+-- AlterTable
+ALTER TABLE "avatars_generated" ADD COLUMN "position" INTEGER;
@@ -0,0 +1,8 @@
+-- CreateEnum
+CREATE TYPE "generation_kind" AS ENUM ('SINGLE', 'SWEEP', 'BATCH');
+
+-- AlterTable
+ALTER TABLE "generation_jobs" ADD COLUMN "kind" "generation_kind" NOT NULL DEFAULT 'SINGLE';
+
+-- Existing sweep jobs
+UPDATE "generation_jobs" SET "kind" = 'SWEEP' WHERE "sweep" IS NOT NULL;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "generation_presets" (
+    "id" BIGSERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "settings" JSONB NOT NULL,
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "generation_presets_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "avatars" ADD COLUMN "default_preset_id" BIGINT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "generation_presets_user_id_name_key" ON "generation_presets"("user_id", "name");
+
+-- AddForeignKey
+ALTER TABLE "generation_presets" ADD CONSTRAINT "generation_presets_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "avatars" ADD CONSTRAINT "avatars_default_preset_id_fkey" FOREIGN KEY ("default_preset_id") REFERENCES "generation_presets"("id") ON DELETE SET NULL ON UPDATE CASCADE;
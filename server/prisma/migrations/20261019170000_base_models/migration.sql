@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "avatars" ADD COLUMN "base_model" VARCHAR(100) NOT NULL DEFAULT 'flux-dev-lora';
+
+-- AlterTable
+ALTER TABLE "generation_jobs" ADD COLUMN "base_model" VARCHAR(100) NOT NULL DEFAULT 'flux-dev-lora';
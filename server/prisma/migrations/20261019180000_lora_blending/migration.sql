@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "generation_jobs" ADD COLUMN "loras" JSONB;
+
+-- CreateTable
+CREATE TABLE "generated_image_avatars" (
+    "image_id" BIGINT NOT NULL,
+    "avatar_id" BIGINT NOT NULL,
+    "scale" DOUBLE PRECISION NOT NULL,
+
+    CONSTRAINT "generated_image_avatars_pkey" PRIMARY KEY ("image_id","avatar_id")
+);
+
+-- CreateIndex
+CREATE INDEX "generated_image_avatars_avatar_id_idx" ON "generated_image_avatars"("avatar_id");
+
+-- AddForeignKey
+ALTER TABLE "generated_image_avatars" ADD CONSTRAINT "generated_image_avatars_image_id_fkey" FOREIGN KEY ("image_id") REFERENCES "avatars_generated"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "generated_image_avatars" ADD CONSTRAINT "generated_image_avatars_avatar_id_fkey" FOREIGN KEY ("avatar_id") REFERENCES "avatars"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "generation_jobs" ADD COLUMN "reference" JSONB;
+
+-- AlterTable
+ALTER TABLE "avatars_generated" ADD COLUMN "reference_url" TEXT,
+ADD COLUMN "reference_image_id" BIGINT;
+
+-- AddForeignKey
+ALTER TABLE "avatars_generated" ADD CONSTRAINT "avatars_generated_reference_image_id_fkey" FOREIGN KEY ("reference_image_id") REFERENCES "avatars_generated"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,15 @@
+-- AlterEnum
+ALTER TYPE "generation_kind" ADD VALUE 'INPAINT';
+
+-- AlterTable
+ALTER TABLE "generation_jobs" ADD COLUMN "edit" JSONB;
+
+-- AlterTable
+ALTER TABLE "avatars_generated" ADD COLUMN "parent_id" BIGINT,
+ADD COLUMN "mask_url" TEXT;
+
+-- CreateIndex
+CREATE INDEX "avatars_generated_parent_id_idx" ON "avatars_generated"("parent_id");
+
+-- AddForeignKey
+ALTER TABLE "avatars_generated" ADD CONSTRAINT "avatars_generated_parent_id_fkey" FOREIGN KEY ("parent_id") REFERENCES "avatars_generated"("id") ON DELETE SET NULL ON UPDATE CASCADE;
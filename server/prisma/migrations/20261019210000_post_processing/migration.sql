@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "avatars_generated" ADD COLUMN "processed_url" TEXT,
+ADD COLUMN "post_processing" JSONB;
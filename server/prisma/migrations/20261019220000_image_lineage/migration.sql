@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "image_operation" AS ENUM ('GENERATE', 'REMIX', 'IMAGE_TO_IMAGE', 'INPAINT');
+
+-- AlterTable
+ALTER TABLE "avatars_generated" ADD COLUMN "operation" "image_operation" NOT NULL DEFAULT 'GENERATE';
+
+-- AlterTable
+ALTER TABLE "generation_jobs" ADD COLUMN "operation" "image_operation" NOT NULL DEFAULT 'GENERATE',
+ADD COLUMN "parent_image_id" BIGINT;
+
+-- Backfill: so far only inpainted versions had a parent
+UPDATE "avatars_generated" SET "operation" = 'INPAINT' WHERE "parent_id" IS NOT NULL;
+
+UPDATE "generation_jobs"
+SET "operation" = 'INPAINT', "parent_image_id" = ("edit"->>'parentId')::BIGINT
+WHERE "kind" = 'INPAINT';
+
+-- Images generated from an existing reference image derive from it
+UPDATE "avatars_generated"
+SET "parent_id" = "reference_image_id", "operation" = 'IMAGE_TO_IMAGE'
+WHERE "reference_image_id" IS NOT NULL AND "parent_id" IS NULL;
+
+UPDATE "generation_jobs"
+SET "operation" = 'IMAGE_TO_IMAGE', "parent_image_id" = ("reference"->>'imageId')::BIGINT
+WHERE "reference"->>'imageId' IS NOT NULL AND "parent_image_id" IS NULL;
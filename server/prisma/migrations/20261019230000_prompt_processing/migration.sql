@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "avatars_generated" ADD COLUMN "negative_prompt" TEXT,
+ADD COLUMN "raw_prompt" TEXT;
+
+-- AlterTable
+ALTER TABLE "generation_jobs" ADD COLUMN "negative_prompt" TEXT,
+ADD COLUMN "raw_prompt" TEXT;
+
+-- AlterTable
+ALTER TABLE "generation_predictions" ADD COLUMN "negative_prompt" TEXT,
+ADD COLUMN "raw_prompt" TEXT;
+
+-- CreateTable
+CREATE TABLE "prompt_snippets" (
+    "id" BIGSERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "name" VARCHAR(50) NOT NULL,
+    "text" TEXT NOT NULL,
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "prompt_snippets_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "prompt_snippets_user_id_name_key" ON "prompt_snippets"("user_id", "name");
+
+-- AddForeignKey
+ALTER TABLE "prompt_snippets" ADD CONSTRAINT "prompt_snippets_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- CreateEnum
+CREATE TYPE "trigger_placement" AS ENUM ('PREPEND', 'APPEND', 'TOKEN', 'EXPLICIT');
+
+-- AlterTable
+ALTER TABLE "avatars" ADD COLUMN "trigger_placement" "trigger_placement" NOT NULL DEFAULT 'PREPEND';
@@ -0,0 +1,9 @@
+-- Files of backends without public URLs were recorded as signed /api/media
+-- URLs; record their bare storage key instead, signed when images are sent out
+UPDATE "avatars_generated" SET "stored_url" = substring("stored_url" from '/api/media/([^?]+)\?sig=') WHERE "stored_url" ~ '/api/media/[^?]+\?sig=';
+UPDATE "avatars_generated" SET "processed_url" = substring("processed_url" from '/api/media/([^?]+)\?sig=') WHERE "processed_url" ~ '/api/media/[^?]+\?sig=';
+UPDATE "avatars_generated" SET "reference_url" = substring("reference_url" from '/api/media/([^?]+)\?sig=') WHERE "reference_url" ~ '/api/media/[^?]+\?sig=';
+UPDATE "avatars_generated" SET "mask_url" = substring("mask_url" from '/api/media/([^?]+)\?sig=') WHERE "mask_url" ~ '/api/media/[^?]+\?sig=';
+
+UPDATE "generation_jobs" SET "reference" = jsonb_set("reference", '{url}', to_jsonb(substring("reference"->>'url' from '/api/media/([^?]+)\?sig='))) WHERE "reference"->>'url' ~ '/api/media/[^?]+\?sig=';
+UPDATE "generation_jobs" SET "edit" = jsonb_set("edit", '{maskUrl}', to_jsonb(substring("edit"->>'maskUrl' from '/api/media/([^?]+)\?sig='))) WHERE "edit"->>'maskUrl' ~ '/api/media/[^?]+\?sig=';
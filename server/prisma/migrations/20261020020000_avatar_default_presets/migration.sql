@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "avatar_default_presets" (
+    "user_id" INTEGER NOT NULL,
+    "avatar_id" BIGINT NOT NULL,
+    "preset_id" BIGINT NOT NULL,
+
+    CONSTRAINT "avatar_default_presets_pkey" PRIMARY KEY ("user_id","avatar_id")
+);
+
+-- CreateIndex
+CREATE INDEX "avatar_default_presets_avatar_id_idx" ON "avatar_default_presets"("avatar_id");
+
+-- CreateIndex
+CREATE INDEX "avatar_default_presets_preset_id_idx" ON "avatar_default_presets"("preset_id");
+
+-- AddForeignKey
+ALTER TABLE "avatar_default_presets" ADD CONSTRAINT "avatar_default_presets_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "avatar_default_presets" ADD CONSTRAINT "avatar_default_presets_avatar_id_fkey" FOREIGN KEY ("avatar_id") REFERENCES "avatars"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "avatar_default_presets" ADD CONSTRAINT "avatar_default_presets_preset_id_fkey" FOREIGN KEY ("preset_id") REFERENCES "generation_presets"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing defaults belong to the user who owns the preset
+INSERT INTO "avatar_default_presets" ("user_id", "avatar_id", "preset_id")
+SELECT "generation_presets"."user_id", "avatars"."id", "generation_presets"."id"
+FROM "avatars"
+JOIN "generation_presets" ON "generation_presets"."id" = "avatars"."default_preset_id";
+
+-- DropForeignKey
+ALTER TABLE "avatars" DROP CONSTRAINT "avatars_default_preset_id_fkey";
+
+-- AlterTable
+ALTER TABLE "avatars" DROP COLUMN "default_preset_id";
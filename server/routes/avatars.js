@@ -2,6 +2,9 @@ const express = require('express');
 const Joi = require('joi');
 const prisma = require('../lib/database');
 const { authenticateToken } = require('../middleware/auth');
+const { serializeAvatar } = require('../lib/serializers');
+const { MODELS, DEFAULT_MODEL } = require('../lib/models');
+const { TRIGGER_PLACEMENTS, DEFAULT_TRIGGER_PLACEMENT } = require('../lib/triggerWords');
 
 const router = express.Router();
 
@@ -10,8 +13,24 @@ const avatarSchema = Joi.object({
   fullName: Joi.string().min(2).max(255).required(),
   replicateModelUrl: Joi.string().required(),
   triggerWord: Joi.string().min(1).max(100).required(),
+  // How the trigger word is placed in prompts
+  triggerPlacement: Joi.string().valid(...TRIGGER_PLACEMENTS).default(DEFAULT_TRIGGER_PLACEMENT),
   description: Joi.string().optional().allow('', null),
-  visible: Joi.boolean().default(true)
+  visible: Joi.boolean().default(true),
+  // Model the LoRA was trained for
+  baseModel: Joi.string()
+    .valid(...Object.values(MODELS).filter(model => !model.blendOnly && !model.inpaintOnly).map(model => model.id))
+    .default(DEFAULT_MODEL)
+});
+
+const defaultPresetSchema = Joi.object({
+  presetId: Joi.string().allow(null).required()
+});
+
+// Avatars are shared, so only the requesting user's default preset is loaded
+const defaultPresetOf = (userId) => ({
+  where: { userId },
+  select: { preset: true }
 });
 
 // Get all user's avatars (through contacts relationship)
@@ -39,18 +58,18 @@ router.get('/', authenticateToken, async (req, res) => {
         fullName: true,
         replicateModelUrl: true,
         triggerWord: true,
+        triggerPlacement: true,
         description: true,
         visible: true,
+        baseModel: true,
+        defaultPresets: defaultPresetOf(req.user.id),
         createdAt: true,
         updatedAt: true
       }
     });
 
     // Convert BigInt to string for JSON serialization
-    const serializedAvatars = avatars.map(avatar => ({
-      ...avatar,
-      id: avatar.id.toString()
-    }));
+    const serializedAvatars = avatars.map(serializeAvatar);
 
     res.json({ avatars: serializedAvatars });
   } catch (error) {
@@ -85,8 +104,11 @@ router.get('/:avatarId', authenticateToken, async (req, res) => {
         fullName: true,
         replicateModelUrl: true,
         triggerWord: true,
+        triggerPlacement: true,
         description: true,
         visible: true,
+        baseModel: true,
+        defaultPresets: defaultPresetOf(req.user.id),
         createdAt: true,
         updatedAt: true
       }
@@ -97,10 +119,7 @@ router.get('/:avatarId', authenticateToken, async (req, res) => {
     }
 
     // Convert BigInt to string for JSON serialization
-    const serializedAvatar = {
-      ...avatar,
-      id: avatar.id.toString()
-    };
+    const serializedAvatar = serializeAvatar(avatar);
 
     res.json({ avatar: serializedAvatar });
   } catch (error) {
@@ -117,7 +136,7 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: error.details[0].message });
     }
 
-    const { fullName, replicateModelUrl, triggerWord, description, visible } = value;
+    const { fullName, replicateModelUrl, triggerWord, triggerPlacement, description, visible, baseModel } = value;
 
     // Check if replicate_model_url already exists
     const existingAvatar = await prisma.avatar.findUnique({
@@ -134,26 +153,28 @@ router.post('/', authenticateToken, async (req, res) => {
         fullName,
         replicateModelUrl,
         triggerWord,
+        triggerPlacement,
         description,
-        visible
+        visible,
+        baseModel
       },
       select: {
         id: true,
         fullName: true,
         replicateModelUrl: true,
         triggerWord: true,
+        triggerPlacement: true,
         description: true,
         visible: true,
+        baseModel: true,
+        defaultPresets: defaultPresetOf(req.user.id),
         createdAt: true,
         updatedAt: true
       }
     });
 
     // Convert BigInt to string for JSON serialization
-    const serializedAvatar = {
-      ...avatar,
-      id: avatar.id.toString()
-    };
+    const serializedAvatar = serializeAvatar(avatar);
 
     res.status(201).json({
       message: 'Avatar created successfully',
@@ -198,7 +219,7 @@ router.put('/:avatarId', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: error.details[0].message });
     }
 
-    const { fullName, replicateModelUrl, triggerWord, description, visible } = value;
+    const { fullName, replicateModelUrl, triggerWord, triggerPlacement, description, visible, baseModel } = value;
 
     // Check if replicate_model_url already exists (excluding current avatar)
     if (replicateModelUrl !== existingAvatar.replicateModelUrl) {
@@ -217,8 +238,10 @@ router.put('/:avatarId', authenticateToken, async (req, res) => {
         fullName,
         replicateModelUrl,
         triggerWord,
+        triggerPlacement,
         description,
         visible,
+        baseModel,
         updatedAt: new Date()
       },
       select: {
@@ -226,18 +249,18 @@ router.put('/:avatarId', authenticateToken, async (req, res) => {
         fullName: true,
         replicateModelUrl: true,
         triggerWord: true,
+        triggerPlacement: true,
         description: true,
         visible: true,
+        baseModel: true,
+        defaultPresets: defaultPresetOf(req.user.id),
         createdAt: true,
         updatedAt: true
       }
     });
 
     // Convert BigInt to string for JSON serialization
-    const serializedUpdatedAvatar = {
-      ...updatedAvatar,
-      id: updatedAvatar.id.toString()
-    };
+    const serializedUpdatedAvatar = serializeAvatar(updatedAvatar);
 
     res.json({
       message: 'Avatar updated successfully',
@@ -249,6 +272,92 @@ router.put('/:avatarId', authenticateToken, async (req, res) => {
   }
 });
 
+// Set (or clear with null) the preset the Generate form loads for this avatar
+router.put('/:avatarId/default-preset', authenticateToken, async (req, res) => {
+  try {
+    const avatarId = BigInt(req.params.avatarId);
+
+    const { error, value } = defaultPresetSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    
+    // Get user's contact IDs
+    const userContacts = await prisma.contact.findMany({
+      where: { userId: req.user.id },
+      select: { id: true }
+    });
+    
+    const contactIds = userContacts.map(contact => contact.id);
+    
+    // Check if avatar exists and belongs to user
+    const existingAvatar = await prisma.avatar.findFirst({
+      where: {
+        id: avatarId,
+        OR: [
+          { contactId: { in: contactIds } },
+          { contactId: null } // Include avatars without contact association
+        ]
+      }
+    });
+
+    if (!existingAvatar) {
+      return res.status(404).json({ message: 'Avatar not found' });
+    }
+
+    let presetId = null;
+    if (value.presetId) {
+      const preset = await prisma.generationPreset.findFirst({
+        where: {
+          id: BigInt(value.presetId),
+          userId: req.user.id
+        }
+      });
+
+      if (!preset) {
+        return res.status(400).json({ message: 'Preset not found' });
+      }
+      presetId = preset.id;
+    }
+
+    const userAvatar = { userId_avatarId: { userId: req.user.id, avatarId } };
+    if (presetId) {
+      await prisma.avatarDefaultPreset.upsert({
+        where: userAvatar,
+        create: { userId: req.user.id, avatarId, presetId },
+        update: { presetId }
+      });
+    } else {
+      await prisma.avatarDefaultPreset.deleteMany({ where: userAvatar.userId_avatarId });
+    }
+
+    const updatedAvatar = await prisma.avatar.findUnique({
+      where: { id: avatarId },
+      select: {
+        id: true,
+        fullName: true,
+        replicateModelUrl: true,
+        triggerWord: true,
+        triggerPlacement: true,
+        description: true,
+        visible: true,
+        baseModel: true,
+        defaultPresets: defaultPresetOf(req.user.id),
+        createdAt: true,
+        updatedAt: true
+      }
+    });
+
+    res.json({
+      message: presetId ? 'Default preset updated successfully' : 'Default preset cleared',
+      avatar: serializeAvatar(updatedAvatar)
+    });
+  } catch (error) {
+    console.error('Avatar default preset error:', error);
+    res.status(500).json({ message: 'Error updating default preset' });
+  }
+});
+
 // Delete avatar
 router.delete('/:avatarId', authenticateToken, async (req, res) => {
   try {
@@ -1,41 +1,432 @@
 const express = require('express');
 const Joi = require('joi');
-const Replicate = require('replicate');
 const prisma = require('../lib/database');
 const { authenticateToken } = require('../middleware/auth');
-const githubStorage = require('../lib/github');
+const imageStorage = require('../lib/storage');
+const generationQueue = require('../lib/generationQueue');
+const provider = require('../lib/providers');
+const { serializeGeneratedImage, serializeGenerationJob } = require('../lib/serializers');
+const { parseCsv } = require('../lib/csv');
+const { getModel, unrunnableReason, parameterSchema } = require('../lib/models');
+const { MAX_IMAGE_UPLOAD_BYTES, decodeImageUpload } = require('../lib/uploads');
+const { postProcessingSchema, postProcessImage } = require('../lib/postProcessing');
+const { processPrompt, renderPrompt } = require('../lib/promptProcessor');
+const { applyTriggerWords } = require('../lib/triggerWords');
+
+// Review states that still await a like/dislike decision
+const REVIEWABLE_STATUSES = ['PENDING', 'UPLOAD_FAILED'];
+
+// Images approved by one bulk like; they are stored together
+const MAX_BULK_LIKE_IMAGES = 50;
 
 const router = express.Router();
 
-// Initialize Replicate client
-const replicate = new Replicate({
-  auth: process.env.REPLICATE_API_TOKEN,
+// Validation schema for image generation. Generation settings are validated
+// against the selected avatar's base model once it is loaded (validateSettings)
+const generateImageSchema = Joi.object({
+  prompt: Joi.string().min(3).max(1000).required(),
+  avatarId: Joi.string().required() // Now required to select an avatar
+}).unknown(true);
+
+// An extra LoRA blended into a generation: another avatar, or a style LoRA given by its weights
+const blendLoraSchema = Joi.object({
+  avatarId: Joi.string(),
+  weights: Joi.string().max(500),
+  triggerWord: Joi.string().max(100).allow('', null),
+  scale: Joi.number().min(0).max(1).required()
+}).xor('avatarId', 'weights');
+
+// Base64 data URL of the largest accepted upload, plus room for its header
+const MAX_REFERENCE_DATA_URL_LENGTH = Math.ceil(MAX_IMAGE_UPLOAD_BYTES / 3) * 4 + 100;
+
+// Single generations may blend extra LoRAs into the avatar's (the avatar runs at lora_scale)
+// and may start from a reference image: an upload or one of the user's generated images
+const singleImageSchema = generateImageSchema.keys({
+  blend: Joi.array().items(blendLoraSchema).max(3).default([]),
+  referenceImage: Joi.string().max(MAX_REFERENCE_DATA_URL_LENGTH),
+  referenceImageId: Joi.string()
+}).oxor('referenceImage', 'referenceImageId');
+
+// A prompt preview resolves the same avatar and blend as a single generation
+const promptPreviewSchema = generateImageSchema.keys({
+  blend: Joi.array().items(blendLoraSchema).max(3).default([])
 });
 
-// Validation schema for image generation
-const generateImageSchema = Joi.object({
+// Parameters that can be swept across a comparison grid (when the model takes them)
+const SWEEP_PARAMETERS = ['lora_scale', 'guidance_scale', 'num_inference_steps'];
+const MAX_SWEEP_CELLS = 25;
+
+const sweepAxisSchema = Joi.object({
+  parameter: Joi.string().valid(...SWEEP_PARAMETERS).required(),
+  values: Joi.array().items(Joi.number()).min(1).max(5).unique().required()
+});
+
+// A sweep is a regular generation with two parameters varied over a grid at a fixed seed
+const sweepImageSchema = generateImageSchema.keys({
+  x: sweepAxisSchema.required(),
+  y: sweepAxisSchema.required()
+});
+
+const MAX_BATCH_PROMPTS = 50;
+
+// Lineages deeper than this are cut off
+const MAX_LINEAGE_DEPTH = 50;
+
+// Fields of each image in a lineage
+const lineageSelect = {
+  id: true,
+  avatarId: true,
+  prompt: true,
+  reviewStatus: true,
+  sourceUrl: true,
+  storedUrl: true,
+  parentId: true,
+  operation: true,
+  createdAt: true,
+  avatar: {
+    select: {
+      id: true,
+      fullName: true,
+      triggerWord: true
+    }
+  }
+};
+
+// Per-prompt overrides a batch row may carry (CSV columns or item fields)
+const batchItemSchema = (model) => model.overridesSchema.keys({
+  prompt: Joi.string().min(3).max(1000).required(),
+  num_outputs: Joi.any().strip()
+});
+
+// A batch queues one image per prompt against a single avatar; shared settings
+// apply to every row unless the row overrides them
+const batchImageSchema = generateImageSchema.keys({
+  prompt: Joi.forbidden(),
+  num_outputs: Joi.forbidden(),
+  items: Joi.array().items(Joi.object().unknown()).min(1),
+  csv: Joi.string().max(200000)
+}).xor('items', 'csv');
+
+// An inpainting edit repaints the white region of a mask (a PNG data URL the
+// size of the image); settings are validated against the inpainting model
+const inpaintImageSchema = Joi.object({
   prompt: Joi.string().min(3).max(1000).required(),
-  avatarId: Joi.string().required(), // Now required to select an avatar
-  lora_scale: Joi.number().min(0).max(1).default(0.8),
-  num_outputs: Joi.number().integer().min(1).max(4).default(1),
-  aspect_ratio: Joi.string().valid('1:1', '16:9', '9:16', '4:3', '3:4', '3:2', '2:3').default('1:1'),
-  output_format: Joi.string().valid('webp', 'jpg', 'png').default('jpg'),
-  guidance_scale: Joi.number().min(1).max(20).default(3.5),
-  num_inference_steps: Joi.number().integer().min(1).max(50).default(28),
-  seed: Joi.number().integer().optional(),
-  go_fast: Joi.boolean().default(true)
+  mask: Joi.string().max(MAX_REFERENCE_DATA_URL_LENGTH).required()
+}).unknown(true);
+
+// Approving or downloading an image may also store a post-processed variant
+const reviewActionSchema = Joi.object({
+  postProcess: postProcessingSchema
+});
+
+const bulkLikeSchema = reviewActionSchema.keys({
+  imageIds: Joi.array().items(Joi.string().pattern(/^\d+$/)).min(1).max(MAX_BULK_LIKE_IMAGES).unique().required()
 });
 
-// Generate image endpoint
+// Overrides accepted when remixing an existing image; a null seed picks a new random one
+const remixImageSchema = Joi.object({
+  prompt: Joi.string().min(3).max(1000),
+  seed: Joi.number().integer().allow(null)
+}).unknown(true);
+
+/**
+ * Validate generation settings against the avatar's base model, filling in the
+ * model's defaults. Parameters the model doesn't take (e.g. from a preset saved
+ * for another model) are dropped. With `image` the image-to-image parameters
+ * are accepted too; check the model supports reference images first.
+ */
+const validateSettings = (avatar, settings, { image = false } = {}) => {
+  const model = getModel(avatar.baseModel);
+  return (image ? model.imageSettingsSchema : model.settingsSchema)
+    .validate(settings, { stripUnknown: true });
+};
+
+// The LoRA an avatar contributes to a generation
+const avatarLora = (avatar, scale) => ({
+  avatarId: avatar.id.toString(),
+  weights: avatar.replicateModelUrl,
+  scale,
+  triggerWord: avatar.triggerWord,
+  triggerPlacement: avatar.triggerPlacement
+});
+
+/**
+ * The prompt inputs for a processed prompt: rendered for the model, with each
+ * LoRA's trigger word placed by its avatar's rule.
+ * Returns { input: { prompt, negative_prompt? } } or { error }.
+ */
+const promptInput = (processed, model, loras) => {
+  const rendered = renderPrompt(processed, model);
+  const { prompt, error } = applyTriggerWords(rendered.prompt, loras);
+  if (error) {
+    return { error };
+  }
+
+  return {
+    input: {
+      prompt,
+      ...(rendered.negativePrompt && { negative_prompt: rendered.negativePrompt })
+    }
+  };
+};
+
+/**
+ * The user's prompt snippets, keyed by name for processPrompt
+ */
+const loadSnippets = async (userId) => {
+  const snippets = await prisma.promptSnippet.findMany({
+    where: { userId },
+    select: { name: true, text: true }
+  });
+  return Object.fromEntries(snippets.map(snippet => [snippet.name, snippet.text]));
+};
+
+/**
+ * Resolve the extra LoRAs of a blend. Blended avatars must be accessible and
+ * trained for the primary avatar's base model, and that model must name a
+ * blend model; the avatar's validated settings are re-validated for it.
+ * Returns { model, loras, options } or { error }.
+ */
+const resolveBlend = async (avatar, avatarOptions, blend, contactIds, { image = false } = {}) => {
+  const baseModel = getModel(avatar.baseModel);
+  const model = baseModel.blendModel && getModel(baseModel.blendModel);
+
+  if (!model) {
+    return { error: `${baseModel.label} does not support blending LoRAs` };
+  }
+
+  // Refuse up front rather than queue predictions Replicate would reject
+  if (provider.name === 'replicate' && unrunnableReason(model)) {
+    return { error: `Blending is not configured: ${unrunnableReason(model)}` };
+  }
+
+  if (blend.length + 1 > model.maxLoras) {
+    return { error: `A blend is limited to ${model.maxLoras} LoRAs` };
+  }
+
+  const blendAvatars = await prisma.avatar.findMany({
+    where: {
+      id: { in: blend.filter(entry => entry.avatarId).map(entry => BigInt(entry.avatarId)) },
+      OR: [
+        { contactId: { in: contactIds } },
+        { contactId: null } // Include avatars without contact association
+      ],
+      visible: true
+    }
+  });
+
+  const loras = [avatarLora(avatar, avatarOptions.lora_scale)];
+  for (const entry of blend) {
+    if (entry.weights) {
+      loras.push({ avatarId: null, weights: entry.weights, scale: entry.scale, triggerWord: entry.triggerWord || null });
+      continue;
+    }
+
+    const blendAvatar = blendAvatars.find(candidate => candidate.id.toString() === entry.avatarId);
+    if (!blendAvatar) {
+      return { error: 'Blended avatar not found or not accessible.' };
+    }
+
+    if (getModel(blendAvatar.baseModel).id !== baseModel.id) {
+      return { error: `${blendAvatar.fullName} was trained for a different base model` };
+    }
+
+    if (loras.some(lora => lora.avatarId === entry.avatarId)) {
+      return { error: `${blendAvatar.fullName} is already part of this blend` };
+    }
+
+    loras.push(avatarLora(blendAvatar, entry.scale));
+  }
+
+  const settingsSchema = image ? model.imageSettingsSchema : model.settingsSchema;
+  if (!settingsSchema) {
+    return { error: `${model.label} does not support reference images` };
+  }
+
+  // Per-LoRA scales replace lora_scale; the other settings must suit the blend model
+  const { error, value: options } = settingsSchema.validate(avatarOptions, { stripUnknown: true });
+  if (error) {
+    return { error: error.details[0].message };
+  }
+
+  return { model, loras, options };
+};
+
+/**
+ * Resolve the reference image of an image-to-image generation. Uploads are
+ * stored first so the model (and later remixes) can fetch them;
+ * existing images must belong to an avatar the user can access.
+ * Returns { reference: { url, imageId } } or { error }.
+ */
+const resolveReference = async (avatar, { referenceImage, referenceImageId }, contactIds) => {
+  if (referenceImageId) {
+    const image = await prisma.avatarGenerated.findFirst({
+      where: {
+        id: BigInt(referenceImageId),
+        avatar: {
+          OR: [
+            { contactId: { in: contactIds } },
+            { contactId: null } // Include avatars without contact association
+          ]
+        }
+      },
+      select: { id: true, sourceUrl: true, storedUrl: true }
+    });
+
+    if (!image || !(image.storedUrl || image.sourceUrl)) {
+      return { error: 'Reference image not found or not accessible.' };
+    }
+
+    return { reference: { url: image.storedUrl || image.sourceUrl, imageId: image.id.toString() } };
+  }
+
+  const { buffer, extension, error } = decodeImageUpload(referenceImage);
+  if (error) {
+    return { error };
+  }
+
+  const { url } = await imageStorage.uploadInputImage(buffer, extension, avatar.fullName, 'reference');
+  return { reference: { url, imageId: null } };
+};
+
+/**
+ * Post-process an image (its stored copy if it has one) and store the variant
+ * next to the original. Returns the fields to record on the image.
+ */
+const createProcessedVariant = async (image, imageUrl, options) => {
+  console.log(`🪄 Post-processing image ${image.id}: ${JSON.stringify(options)}`);
+  const processed = await postProcessImage(await imageStorage.providerUrl(imageUrl), options);
+  const { url } = await imageStorage.uploadProcessedImage(
+    processed.buffer,
+    processed.extension,
+    image.prompt,
+    image.avatar.fullName
+  );
+
+  // Only the latest variant is kept
+  if (image.processedUrl) {
+    try {
+      await imageStorage.deleteImage(image.processedUrl);
+    } catch (deleteError) {
+      console.error('Failed to delete previous processed image from storage:', deleteError);
+    }
+  }
+
+  return {
+    processedUrl: url,
+    postProcessing: { ...options, width: processed.width, height: processed.height }
+  };
+};
+
+/**
+ * Create a generation job for an avatar and hand it to the worker.
+ * `prompt` is a processed prompt (processPrompt), rendered for the model here.
+ * By default one prediction per requested output; pass `variations`
+ * (per-prediction input overrides, optionally with their own processed
+ * `prompt`) to lay out the predictions explicitly.
+ * A resolved `blend` runs every LoRA in it on the blend model; a `reference`
+ * ({ url, imageId }) is passed to the model as its input image. An `edit`
+ * ({ model, imageUrl, maskUrl }) inpaints an existing image. A `parent`
+ * ({ operation, imageId }) records which image the results derive from.
+ * Returns { job }, or { error } when a prompt's trigger words can't be placed.
+ */
+const queueGeneration = async (user, avatar, prompt, options, { variations, sweep, kind, blend, reference, edit, parent } = {}) => {
+  const model = blend?.model || edit?.model || getModel(avatar.baseModel);
+  const loras = blend ? blend.loras : [avatarLora(avatar, options.lora_scale)];
+
+  // Batch rows carry their own prompts, so their errors are reported per row
+  const base = promptInput(prompt, model, loras);
+
+  if (prompt.negativePrompt && !model.negativePrompt) {
+    console.log(`🚫 ${model.label} takes no negative prompt; "${prompt.negativePrompt}" is only recorded`);
+  }
+
+  // Prepare Replicate input
+  const sharedInput = {
+    ...model.loraInput(loras),
+    ...options,
+    ...(reference && { image: reference.url }),
+    ...(edit && { image: edit.imageUrl, mask: edit.maskUrl })
+  };
+  const input = { ...base.input, ...sharedInput };
+
+  // One single-output prediction per requested image so each one can be
+  // streamed to the client as soon as it is ready
+  const layout = variations || Array.from({ length: options.num_outputs }, (_, position) => (
+    options.seed !== undefined ? { seed: options.seed + position } : {}
+  ));
+  const predictions = [];
+  for (const [position, { prompt: variationPrompt, ...variation }] of layout.entries()) {
+    const variationInput = variationPrompt ? promptInput(variationPrompt, model, loras) : base;
+    if (variationInput.error) {
+      return { error: variationPrompt ? `Row ${position + 1}: ${variationInput.error}` : variationInput.error };
+    }
+
+    predictions.push({
+      position,
+      input: {
+        ...variationInput.input,
+        ...sharedInput,
+        num_outputs: 1,
+        ...variation
+      },
+      rawPrompt: (variationPrompt || prompt).raw,
+      negativePrompt: (variationPrompt || prompt).negativePrompt
+    });
+  }
+
+  // Persist the job; the generation worker submits the predictions
+  const job = await prisma.generationJob.create({
+    data: {
+      userId: user.id,
+      avatarId: avatar.id,
+      kind,
+      baseModel: model.id,
+      prompt: input.prompt,
+      rawPrompt: prompt.raw,
+      negativePrompt: prompt.negativePrompt,
+      input,
+      sweep,
+      loras,
+      reference,
+      edit: edit && { maskUrl: edit.maskUrl },
+      ...(parent && { operation: parent.operation, parentImageId: BigInt(parent.imageId) }),
+      predictions: {
+        create: predictions
+      }
+    },
+    include: {
+      predictions: true,
+      avatar: {
+        select: {
+          id: true,
+          fullName: true,
+          triggerWord: true
+        }
+      }
+    }
+  });
+
+  generationQueue.enqueue(job);
+  return { job };
+};
+
+// Generate image endpoint - queues a generation job and returns immediately
 router.post('/generate', authenticateToken, async (req, res) => {
   try {
-    const { error, value } = generateImageSchema.validate(req.body);
+    const { error, value } = singleImageSchema.validate(req.body);
     if (error) {
       return res.status(400).json({ message: error.details[0].message });
     }
 
-    const { prompt, avatarId, ...options } = value;
+    const { prompt: rawPrompt, avatarId, blend, referenceImage, referenceImageId, ...settings } = value;
     const user = req.user;
+    const hasReference = Boolean(referenceImage || referenceImageId);
+
+    const prompt = processPrompt(rawPrompt, await loadSnippets(user.id));
+    if (prompt.error) {
+      return res.status(400).json({ message: prompt.error });
+    }
 
     // Get user's contact IDs
     const userContacts = await prisma.contact.findMany({
@@ -63,273 +454,846 @@ router.post('/generate', authenticateToken, async (req, res) => {
       });
     }
 
-    console.log(`🎨 Generating image for user ${user.email} with avatar: "${avatar.fullName}"`);
-    console.log(`📦 Using Replicate model: ${avatar.replicateModelUrl}`);
-    console.log(`🎯 Trigger word: ${avatar.triggerWord}`);
+    const baseModel = getModel(avatar.baseModel);
+    if (hasReference && !baseModel.imageSettingsSchema) {
+      return res.status(400).json({ message: `${baseModel.label} does not support reference images` });
+    }
 
-    // Enhance prompt with trigger word if not already included
-    let enhancedPrompt = prompt;
-    if (!prompt.toLowerCase().includes(avatar.triggerWord.toLowerCase())) {
-      enhancedPrompt = `${avatar.triggerWord} ${prompt}`;
+    const { error: settingsError, value: avatarOptions } = validateSettings(avatar, settings, { image: hasReference });
+    if (settingsError) {
+      return res.status(400).json({ message: settingsError.details[0].message });
     }
 
-    // Prepare Replicate input
-    const input = {
-      prompt: enhancedPrompt,
-      lora_weights: avatar.replicateModelUrl,
-      ...options
-    };
+    let options = avatarOptions;
+    let resolvedBlend;
+    if (blend.length > 0) {
+      resolvedBlend = await resolveBlend(avatar, avatarOptions, blend, contactIds, { image: hasReference });
+      if (resolvedBlend.error) {
+        return res.status(400).json({ message: resolvedBlend.error });
+      }
+      options = resolvedBlend.options;
+    }
 
-    // Generate image using Replicate
-    const output = await replicate.run(
-      "black-forest-labs/flux-dev-lora",
-      { input }
+    // Checked here as well so a misplaced trigger word doesn't leave an uploaded reference behind
+    const { error: promptError } = promptInput(
+      prompt,
+      resolvedBlend ? resolvedBlend.model : baseModel,
+      resolvedBlend ? resolvedBlend.loras : [avatarLora(avatar, options.lora_scale)]
     );
+    if (promptError) {
+      return res.status(400).json({ message: promptError });
+    }
 
-    // Output is an array of image URLs
-    const imageUrls = Array.isArray(output) ? output : [output];
-
-    // Save images for review (keep temporary URLs for now, upload on user action)
-    const savedImages = await Promise.all(
-      imageUrls.map(async (imageUrl) => {
-        console.log(`💾 Saving image for review: ${avatar.fullName}`);
-        
-        // Save with temporary Replicate URL for review
-        // We'll upload to GitHub when user approves (like/download)
-        return await prisma.avatarGenerated.create({
-          data: {
-            prompt: enhancedPrompt,
-            githubImageUrl: `PENDING_REVIEW:${imageUrl}`, // Temporary URL with review flag
-            avatarId: BigInt(avatarId)
+    // Resolved last so nothing is uploaded for a request that fails validation
+    let reference;
+    if (hasReference) {
+      const resolvedReference = await resolveReference(avatar, { referenceImage, referenceImageId }, contactIds);
+      if (resolvedReference.error) {
+        return res.status(400).json({ message: resolvedReference.error });
+      }
+      reference = resolvedReference.reference;
+    }
+
+    console.log(`🎨 Queueing generation for user ${user.email} with avatar: "${avatar.fullName}"`);
+    if (resolvedBlend) {
+      console.log(`🧬 Blending ${resolvedBlend.loras.length} LoRAs on ${resolvedBlend.model.id}: ${resolvedBlend.loras.map(lora => `${lora.weights}@${lora.scale}`).join(', ')}`);
+    } else {
+      console.log(`📦 Using ${baseModel.id} with LoRA: ${avatar.replicateModelUrl}`);
+    }
+    console.log(`🎯 Trigger word: ${avatar.triggerWord}`);
+    if (reference) {
+      console.log(`🖼️ Reference image: ${reference.url} (strength ${options.prompt_strength})`);
+    }
+
+    const { job, error: queueError } = await queueGeneration(user, avatar, prompt, options, {
+      blend: resolvedBlend,
+      reference,
+      // Starting from one of the user's images makes the results derive from it
+      parent: reference?.imageId && { operation: 'IMAGE_TO_IMAGE', imageId: reference.imageId }
+    });
+
+    if (queueError) {
+      return res.status(400).json({ message: queueError });
+    }
+
+    res.status(202).json({
+      message: 'Generation queued',
+      job: serializeGenerationJob(job)
+    });
+
+  } catch (error) {
+    console.error('Image generation error:', error);
+    res.status(500).json({ 
+      message: 'Error queueing image generation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Preview the final prompt of a generation - snippets expanded and trigger words
+// placed for the avatar (and blend) exactly as /generate would send it
+router.post('/preview-prompt', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = promptPreviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { prompt: rawPrompt, avatarId, blend } = value;
+
+    const prompt = processPrompt(rawPrompt, await loadSnippets(req.user.id));
+    if (prompt.error) {
+      return res.status(400).json({ message: prompt.error });
+    }
+
+    // Get user's contact IDs
+    const userContacts = await prisma.contact.findMany({
+      where: { userId: req.user.id },
+      select: { id: true }
+    });
+    
+    const contactIds = userContacts.map(contact => contact.id);
+
+    // Get the selected avatar
+    const avatar = await prisma.avatar.findFirst({
+      where: {
+        id: BigInt(avatarId),
+        OR: [
+          { contactId: { in: contactIds } },
+          { contactId: null } // Include avatars without contact association
+        ],
+        visible: true
+      }
+    });
+
+    if (!avatar) {
+      return res.status(400).json({ 
+        message: 'Avatar not found or not accessible.' 
+      });
+    }
+
+    // Settings don't affect the prompt, so the model's defaults stand in for them
+    const { value: defaults } = validateSettings(avatar, {});
+    let model = getModel(avatar.baseModel);
+    let loras = [avatarLora(avatar, defaults.lora_scale)];
+    if (blend.length > 0) {
+      const resolvedBlend = await resolveBlend(avatar, defaults, blend, contactIds);
+      if (resolvedBlend.error) {
+        return res.status(400).json({ message: resolvedBlend.error });
+      }
+      model = resolvedBlend.model;
+      loras = resolvedBlend.loras;
+    }
+
+    const preview = promptInput(prompt, model, loras);
+    if (preview.error) {
+      return res.status(400).json({ message: preview.error });
+    }
+
+    res.json({
+      prompt: preview.input.prompt,
+      rawPrompt: prompt.raw,
+      negativePrompt: prompt.negativePrompt,
+      // Null when the model doesn't take the negative prompt
+      sentNegativePrompt: preview.input.negative_prompt || null,
+      model: model.id,
+      // $words that aren't snippets, in case one was misspelled
+      warnings: prompt.warnings
+    });
+  } catch (error) {
+    console.error('Prompt preview error:', error);
+    res.status(500).json({ message: 'Error previewing prompt' });
+  }
+});
+
+// Parameter sweep endpoint - one prediction per X/Y grid cell at a fixed seed
+router.post('/sweep', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = sweepImageSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { prompt: rawPrompt, avatarId, x, y, num_outputs, ...settings } = value;
+    const user = req.user;
+
+    if (x.parameter === y.parameter) {
+      return res.status(400).json({ message: 'Sweep axes must use different parameters' });
+    }
+
+    if (x.values.length * y.values.length > MAX_SWEEP_CELLS) {
+      return res.status(400).json({ message: `A sweep is limited to ${MAX_SWEEP_CELLS} images` });
+    }
+
+    // Get user's contact IDs
+    const userContacts = await prisma.contact.findMany({
+      where: { userId: user.id },
+      select: { id: true }
+    });
+    
+    const contactIds = userContacts.map(contact => contact.id);
+
+    // Get the selected avatar
+    const avatar = await prisma.avatar.findFirst({
+      where: {
+        id: BigInt(avatarId),
+        OR: [
+          { contactId: { in: contactIds } },
+          { contactId: null } // Include avatars without contact association
+        ],
+        visible: true
+      }
+    });
+
+    if (!avatar) {
+      return res.status(400).json({ 
+        message: 'Avatar not found or not accessible.' 
+      });
+    }
+
+    const model = getModel(avatar.baseModel);
+
+    // Axis values must be in the model's range for the parameter
+    for (const axis of [x, y]) {
+      const definition = model.parameters[axis.parameter];
+      if (!definition) {
+        return res.status(400).json({ message: `${model.label} does not support ${axis.parameter}` });
+      }
+
+      for (const axisValue of axis.values) {
+        const { error: valueError } = parameterSchema(definition).validate(axisValue);
+        if (valueError) {
+          return res.status(400).json({ message: `Invalid ${axis.parameter} value ${axisValue}: ${valueError.details[0].message}` });
+        }
+      }
+    }
+
+    const { error: settingsError, value: options } = validateSettings(avatar, settings);
+    if (settingsError) {
+      return res.status(400).json({ message: settingsError.details[0].message });
+    }
+
+    const prompt = processPrompt(rawPrompt, await loadSnippets(user.id));
+    if (prompt.error) {
+      return res.status(400).json({ message: prompt.error });
+    }
+
+    // Every cell shares one seed so only the swept parameters differ
+    const seed = options.seed !== undefined ? options.seed : Math.floor(Math.random() * 2147483647);
+
+    // Row by row: position = row * columns + column
+    const variations = y.values.flatMap(yValue => x.values.map(xValue => ({
+      [x.parameter]: xValue,
+      [y.parameter]: yValue
+    })));
+
+    console.log(`🧪 Queueing ${x.parameter} × ${y.parameter} sweep (${variations.length} images) for user ${user.email} with avatar: "${avatar.fullName}"`);
+
+    const { job, error: queueError } = await queueGeneration(user, avatar, prompt, { ...options, seed, num_outputs: 1 }, {
+      variations,
+      sweep: { x, y, seed },
+      kind: 'SWEEP'
+    });
+
+    if (queueError) {
+      return res.status(400).json({ message: queueError });
+    }
+
+    res.status(202).json({
+      message: 'Sweep queued',
+      job: serializeGenerationJob(job)
+    });
+  } catch (error) {
+    console.error('Sweep generation error:', error);
+    res.status(500).json({ 
+      message: 'Error queueing parameter sweep',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Batch endpoint - one image per prompt from a list or CSV, queued as a single job
+router.post('/batch', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = batchImageSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { avatarId, items, csv, ...settings } = value;
+    const user = req.user;
+
+    const rows = csv ? parseCsv(csv) : items;
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'No prompts found. CSV files need a header row with a "prompt" column.' });
+    }
+
+    if (rows.length > MAX_BATCH_PROMPTS) {
+      return res.status(400).json({ message: `A batch is limited to ${MAX_BATCH_PROMPTS} prompts` });
+    }
+
+    // Get user's contact IDs
+    const userContacts = await prisma.contact.findMany({
+      where: { userId: user.id },
+      select: { id: true }
+    });
+    
+    const contactIds = userContacts.map(contact => contact.id);
+
+    // Get the selected avatar
+    const avatar = await prisma.avatar.findFirst({
+      where: {
+        id: BigInt(avatarId),
+        OR: [
+          { contactId: { in: contactIds } },
+          { contactId: null } // Include avatars without contact association
+        ],
+        visible: true
+      }
+    });
+
+    if (!avatar) {
+      return res.status(400).json({ 
+        message: 'Avatar not found or not accessible.' 
+      });
+    }
+
+    const { error: settingsError, value: options } = validateSettings(avatar, settings);
+    if (settingsError) {
+      return res.status(400).json({ message: settingsError.details[0].message });
+    }
+
+    // Rows may only override parameters the avatar's model takes
+    const itemSchema = batchItemSchema(getModel(avatar.baseModel));
+    const snippets = await loadSnippets(user.id);
+    const batchItems = [];
+    for (const [index, row] of rows.entries()) {
+      const { error: rowError, value: item } = itemSchema.validate(row, { stripUnknown: true });
+      if (rowError) {
+        return res.status(400).json({ message: `Row ${index + 1}: ${rowError.details[0].message}` });
+      }
+
+      const prompt = processPrompt(item.prompt, snippets);
+      if (prompt.error) {
+        return res.status(400).json({ message: `Row ${index + 1}: ${prompt.error}` });
+      }
+      batchItems.push({ ...item, prompt });
+    }
+
+    console.log(`📋 Queueing batch of ${batchItems.length} prompts for user ${user.email} with avatar: "${avatar.fullName}"`);
+
+    // Each row is a variation with its own prompt; row overrides win over the shared settings
+    const { job, error: queueError } = await queueGeneration(user, avatar, batchItems[0].prompt, { ...options, num_outputs: 1 }, {
+      variations: batchItems,
+      kind: 'BATCH'
+    });
+
+    if (queueError) {
+      return res.status(400).json({ message: queueError });
+    }
+
+    res.status(202).json({
+      message: 'Batch queued',
+      job: serializeGenerationJob(job)
+    });
+  } catch (error) {
+    console.error('Batch generation error:', error);
+    res.status(500).json({ 
+      message: 'Error queueing batch generation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get user's generated images
+router.get('/history', authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Get user's contact IDs
+    const userContacts = await prisma.contact.findMany({
+      where: { userId: req.user.id },
+      select: { id: true }
+    });
+    
+    const contactIds = userContacts.map(contact => contact.id);
+
+    // Get avatars accessible to the user
+    const userAvatars = await prisma.avatar.findMany({
+      where: {
+        OR: [
+          { contactId: { in: contactIds } },
+          { contactId: null } // Include avatars without contact association
+        ]
+      },
+      select: { id: true }
+    });
+
+    const avatarIds = userAvatars.map(avatar => avatar.id);
+
+    const [images, total] = await Promise.all([
+      prisma.avatarGenerated.findMany({
+        where: { 
+          avatarId: { in: avatarIds },
+          reviewStatus: 'APPROVED' // Only approved, stored images
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit,
+        select: {
+          id: true,
+          prompt: true,
+          rawPrompt: true,
+          negativePrompt: true,
+          reviewStatus: true,
+          sourceUrl: true,
+          storedUrl: true,
+          parameters: true,
+          seed: true,
+          model: true,
+          modelVersion: true,
+          referenceUrl: true,
+          referenceImageId: true,
+          parentId: true,
+          operation: true,
+          maskUrl: true,
+          processedUrl: true,
+          postProcessing: true,
+          createdAt: true,
+          reviewedAt: true,
+          avatar: {
+            select: {
+              id: true,
+              fullName: true,
+              replicateModelUrl: true,
+              triggerWord: true
+            }
           },
-          include: {
-            avatar: {
-              select: {
-                id: true,
-                fullName: true,
-                replicateModelUrl: true,
-                triggerWord: true
-              }
+          contributors: {
+            select: {
+              avatarId: true,
+              scale: true,
+              avatar: { select: { fullName: true } }
             }
           }
-        });
+        }
+      }),
+      prisma.avatarGenerated.count({
+        where: { 
+          avatarId: { in: avatarIds },
+          reviewStatus: 'APPROVED'
+        }
       })
-    );
+    ]);
 
-    // Serialize BigInt values and prepare for review
-    const serializedImages = savedImages.map(image => {
-      const isPendingReview = image.githubImageUrl.startsWith('PENDING_REVIEW:');
-      const actualImageUrl = isPendingReview ? image.githubImageUrl.replace('PENDING_REVIEW:', '') : image.githubImageUrl;
-      
-      return {
-        ...image,
-        id: image.id.toString(),
-        avatarId: image.avatarId.toString(),
-        imageUrl: actualImageUrl, // Clean URL for frontend display
-        isPendingReview: isPendingReview,
-        avatar: image.avatar ? {
-          ...image.avatar,
-          id: image.avatar.id.toString()
-        } : image.avatar
-      };
-    });
+    // Convert BigInt to string for JSON serialization
+    const serializedImages = images.map(serializeGeneratedImage);
 
     res.json({
-      message: 'Images generated successfully - ready for review',
       images: serializedImages,
-      count: serializedImages.length,
-      pendingReview: true,
-      avatar: {
-        id: avatar.id.toString(),
-        fullName: avatar.fullName,
-        triggerWord: avatar.triggerWord
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('History fetch error:', error);
+    res.status(500).json({ message: 'Error fetching image history' });
+  }
+});
+
+// Get single image details
+router.get('/:imageId', authenticateToken, async (req, res) => {
+  try {
+    const imageId = BigInt(req.params.imageId);
+
+    // Get user's contact IDs
+    const userContacts = await prisma.contact.findMany({
+      where: { userId: req.user.id },
+      select: { id: true }
+    });
+    
+    const contactIds = userContacts.map(contact => contact.id);
+
+    // Get avatars accessible to the user
+    const userAvatars = await prisma.avatar.findMany({
+      where: {
+        OR: [
+          { contactId: { in: contactIds } },
+          { contactId: null } // Include avatars without contact association
+        ]
+      },
+      select: { id: true }
+    });
+
+    const avatarIds = userAvatars.map(avatar => avatar.id);
+
+    const image = await prisma.avatarGenerated.findFirst({
+      where: {
+        id: imageId,
+        avatarId: { in: avatarIds }
+      },
+      include: {
+        avatar: {
+          select: {
+            id: true,
+            fullName: true,
+            replicateModelUrl: true,
+            triggerWord: true
+          }
+        },
+        contributors: {
+          select: {
+            avatarId: true,
+            scale: true,
+            avatar: { select: { fullName: true } }
+          }
+        },
+        // Images derived from this one
+        versions: {
+          orderBy: { createdAt: 'asc' },
+          select: {
+            id: true,
+            reviewStatus: true,
+            sourceUrl: true,
+            storedUrl: true,
+            createdAt: true
+          }
+        }
       }
     });
 
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    // Convert BigInt to string for JSON serialization
+    const serializedImage = serializeGeneratedImage(image);
+
+    res.json({ image: serializedImage });
   } catch (error) {
-    console.error('Image generation error:', error);
+    console.error('Image fetch error:', error);
+    res.status(500).json({ message: 'Error fetching image' });
+  }
+});
+
+// Get the lineage of an image - its ancestors up to the root image and every
+// image derived from that root, each with its parentId and operation
+router.get('/:imageId/lineage', authenticateToken, async (req, res) => {
+  try {
+    const imageId = BigInt(req.params.imageId);
+
+    // Get user's contact IDs
+    const userContacts = await prisma.contact.findMany({
+      where: { userId: req.user.id },
+      select: { id: true }
+    });
     
-    if (error.message?.includes('Invalid token')) {
-      return res.status(401).json({ message: 'Invalid Replicate API token' });
+    const contactIds = userContacts.map(contact => contact.id);
+
+    // Get avatars accessible to the user
+    const userAvatars = await prisma.avatar.findMany({
+      where: {
+        OR: [
+          { contactId: { in: contactIds } },
+          { contactId: null } // Include avatars without contact association
+        ]
+      },
+      select: { id: true }
+    });
+
+    const avatarIds = userAvatars.map(avatar => avatar.id);
+
+    const image = await prisma.avatarGenerated.findFirst({
+      where: {
+        id: imageId,
+        avatarId: { in: avatarIds }
+      },
+      select: lineageSelect
+    });
+
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    // Walk up to the root; ancestors of inaccessible avatars end the walk
+    const ancestors = [];
+    let current = image;
+    while (current.parentId && ancestors.length < MAX_LINEAGE_DEPTH) {
+      const parent = await prisma.avatarGenerated.findFirst({
+        where: {
+          id: current.parentId,
+          avatarId: { in: avatarIds }
+        },
+        select: lineageSelect
+      });
+
+      if (!parent) {
+        break;
+      }
+      ancestors.unshift(parent);
+      current = parent;
     }
-    
-    if (error.message?.includes('rate limit')) {
-      return res.status(429).json({ message: 'Rate limit exceeded. Please try again later.' });
+
+    // Then collect the root's descendants one generation at a time
+    const root = ancestors[0] || image;
+    const images = [root];
+    let frontier = [root.id];
+    for (let depth = 0; frontier.length > 0 && depth < MAX_LINEAGE_DEPTH; depth++) {
+      const children = await prisma.avatarGenerated.findMany({
+        where: {
+          parentId: { in: frontier },
+          avatarId: { in: avatarIds }
+        },
+        orderBy: { createdAt: 'asc' },
+        select: lineageSelect
+      });
+
+      images.push(...children);
+      frontier = children.map(child => child.id);
     }
 
-    res.status(500).json({ 
-      message: 'Error generating image',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    res.json({
+      imageId: image.id.toString(),
+      rootId: root.id.toString(),
+      path: [...ancestors, image].map(pathImage => pathImage.id.toString()),
+      images: images.map(serializeGeneratedImage)
     });
+  } catch (error) {
+    console.error('Image lineage error:', error);
+    res.status(500).json({ message: 'Error fetching image lineage' });
   }
 });
 
-// Get user's generated images
-router.get('/history', authenticateToken, async (req, res) => {
+// Remix an image - re-run its avatar, prompt and settings with optional overrides
+router.post('/:imageId/remix', authenticateToken, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const { error, value } = remixImageSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const imageId = BigInt(req.params.imageId);
+    const user = req.user;
 
     // Get user's contact IDs
     const userContacts = await prisma.contact.findMany({
-      where: { userId: req.user.id },
+      where: { userId: user.id },
       select: { id: true }
     });
     
     const contactIds = userContacts.map(contact => contact.id);
 
-    // Get avatars accessible to the user
-    const userAvatars = await prisma.avatar.findMany({
+    const image = await prisma.avatarGenerated.findFirst({
       where: {
-        OR: [
-          { contactId: { in: contactIds } },
-          { contactId: null } // Include avatars without contact association
-        ]
+        id: imageId,
+        avatar: {
+          OR: [
+            { contactId: { in: contactIds } },
+            { contactId: null } // Include avatars without contact association
+          ],
+          visible: true
+        }
       },
-      select: { id: true }
+      include: {
+        avatar: true,
+        job: { select: { loras: true } }
+      }
     });
 
-    const avatarIds = userAvatars.map(avatar => avatar.id);
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
 
-    const [images, total] = await Promise.all([
-      prisma.avatarGenerated.findMany({
-        where: { 
-          avatarId: { in: avatarIds },
-          AND: [
-            { githubImageUrl: { not: { startsWith: 'PENDING_REVIEW:' } } }, // Only approved images
-            { githubImageUrl: { startsWith: 'https://raw.githubusercontent.com/' } } // Only GitHub-stored images
-          ]
-        },
-        orderBy: { createdAt: 'desc' },
-        skip,
-        take: limit,
-        select: {
-          id: true,
-          prompt: true,
-          githubImageUrl: true,
-          createdAt: true,
-          avatar: {
-            select: {
-              id: true,
-              fullName: true,
-              replicateModelUrl: true,
-              triggerWord: true
-            }
-          }
-        }
-      }),
-      prisma.avatarGenerated.count({
-        where: { 
-          avatarId: { in: avatarIds },
-          AND: [
-            { githubImageUrl: { not: { startsWith: 'PENDING_REVIEW:' } } }, // Only approved images
-            { githubImageUrl: { startsWith: 'https://raw.githubusercontent.com/' } } // Only GitHub-stored images
-          ]
-        }
-      })
-    ]);
+    // Blended images are remixed with the same LoRAs at their recorded scales
+    const [primaryLora, ...blendLoras] = image.job?.loras || [];
+    const blend = blendLoras.map(lora => (lora.avatarId
+      ? { avatarId: lora.avatarId, scale: lora.scale }
+      : { weights: lora.weights, triggerWord: lora.triggerWord, scale: lora.scale }
+    ));
+
+    // Carry over the settings the avatar's model takes; images generated before
+    // parameters were recorded only carry their prompt
+    const parameters = image.parameters || {};
+    const remixable = [...Object.keys(getModel(image.avatar.baseModel).parameters), 'seed']
+      .filter(key => key !== 'num_outputs');
+    const original = Object.fromEntries(
+      remixable
+        .filter(key => parameters[key] !== undefined && parameters[key] !== null)
+        .map(key => [key, parameters[key]])
+    );
 
-    // Convert BigInt to string for JSON serialization and handle review status
-    const serializedImages = images.map(image => {
-      const isPendingReview = image.githubImageUrl.startsWith('PENDING_REVIEW:');
-      const actualImageUrl = isPendingReview ? image.githubImageUrl.replace('PENDING_REVIEW:', '') : image.githubImageUrl;
-      
-      // Debug logging
-      console.log(`🔍 DEBUG - Database URL: ${image.githubImageUrl}`);
-      console.log(`🔍 DEBUG - Actual URL: ${actualImageUrl}`);
-      
-      return {
-        id: image.id.toString(),
-        prompt: image.prompt,
-        imageUrl: actualImageUrl, // Clean URL for frontend display
-        isPendingReview: isPendingReview,
-        createdAt: image.createdAt,
-        avatar: image.avatar ? {
-          ...image.avatar,
-          id: image.avatar.id.toString()
-        } : null
-      };
-    });
+    // Image-to-image results are remixed from the same reference image
+    const reference = image.referenceUrl
+      ? { url: image.referenceUrl, imageId: image.referenceImageId ? image.referenceImageId.toString() : null }
+      : undefined;
+
+    const { prompt: promptOverride, ...overrides } = value;
+    const merged = {
+      ...original,
+      ...(blend.length > 0 && { lora_scale: primaryLora.scale }),
+      num_outputs: 1,
+      ...overrides
+    };
 
-    res.json({
-      images: serializedImages,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
+    if (merged.seed === null) {
+      delete merged.seed;
+    }
+
+    const baseModel = getModel(image.avatar.baseModel);
+    if (reference && !baseModel.imageSettingsSchema) {
+      return res.status(400).json({ message: `${baseModel.label} does not support reference images` });
+    }
+
+    const { error: settingsError, value: avatarOptions } = validateSettings(image.avatar, merged, { image: Boolean(reference) });
+    if (settingsError) {
+      return res.status(400).json({ message: settingsError.details[0].message });
+    }
+
+    let options = avatarOptions;
+    let resolvedBlend;
+    if (blend.length > 0) {
+      resolvedBlend = await resolveBlend(image.avatar, avatarOptions, blend, contactIds, { image: Boolean(reference) });
+      if (resolvedBlend.error) {
+        return res.status(400).json({ message: resolvedBlend.error });
       }
+      options = resolvedBlend.options;
+    }
+
+    // Remixes start over from the prompt as it was typed, snippets included
+    const prompt = processPrompt(promptOverride || image.rawPrompt || image.prompt, await loadSnippets(user.id));
+    if (prompt.error) {
+      return res.status(400).json({ message: prompt.error });
+    }
+
+    console.log(`🔀 Remixing image ${image.id} for user ${user.email} with avatar: "${image.avatar.fullName}"`);
+
+    const { job, error: queueError } = await queueGeneration(user, image.avatar, prompt, options, {
+      blend: resolvedBlend,
+      reference,
+      parent: { operation: 'REMIX', imageId: image.id.toString() }
+    });
+
+    if (queueError) {
+      return res.status(400).json({ message: queueError });
+    }
+
+    res.status(202).json({
+      message: 'Remix queued',
+      job: serializeGenerationJob(job)
     });
   } catch (error) {
-    console.error('History fetch error:', error);
-    res.status(500).json({ message: 'Error fetching image history' });
+    console.error('Image remix error:', error);
+    res.status(500).json({ message: 'Error queueing remix' });
   }
 });
 
-// Get single image details
-router.get('/:imageId', authenticateToken, async (req, res) => {
+// Inpaint an image - repaint a masked region with the avatar's LoRA as a new version of the image
+router.post('/:imageId/inpaint', authenticateToken, async (req, res) => {
   try {
+    const { error, value } = inpaintImageSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
     const imageId = BigInt(req.params.imageId);
+    const user = req.user;
 
     // Get user's contact IDs
     const userContacts = await prisma.contact.findMany({
-      where: { userId: req.user.id },
+      where: { userId: user.id },
       select: { id: true }
     });
     
     const contactIds = userContacts.map(contact => contact.id);
 
-    // Get avatars accessible to the user
-    const userAvatars = await prisma.avatar.findMany({
-      where: {
-        OR: [
-          { contactId: { in: contactIds } },
-          { contactId: null } // Include avatars without contact association
-        ]
-      },
-      select: { id: true }
-    });
-
-    const avatarIds = userAvatars.map(avatar => avatar.id);
-
     const image = await prisma.avatarGenerated.findFirst({
       where: {
         id: imageId,
-        avatarId: { in: avatarIds }
-      },
-      include: {
         avatar: {
-          select: {
-            id: true,
-            fullName: true,
-            replicateModelUrl: true,
-            triggerWord: true
-          }
+          OR: [
+            { contactId: { in: contactIds } },
+            { contactId: null } // Include avatars without contact association
+          ],
+          visible: true
         }
-      }
+      },
+      include: { avatar: true }
     });
 
     if (!image) {
       return res.status(404).json({ message: 'Image not found' });
     }
 
-    // Convert BigInt to string for JSON serialization and map field names
-    const serializedImage = {
-      id: image.id.toString(),
-      prompt: image.prompt,
-      imageUrl: image.githubImageUrl, // Map to frontend expected field name
-      createdAt: image.createdAt,
-      avatar: image.avatar ? {
-        ...image.avatar,
-        id: image.avatar.id.toString()
-      } : null
-    };
+    const imageUrl = image.storedUrl || image.sourceUrl;
+    if (!imageUrl) {
+      return res.status(400).json({ message: 'Image has no file to edit' });
+    }
 
-    res.json({ image: serializedImage });
+    const baseModel = getModel(image.avatar.baseModel);
+    if (!baseModel.inpaintModel) {
+      return res.status(400).json({ message: `${baseModel.label} does not support inpainting` });
+    }
+    const model = getModel(baseModel.inpaintModel);
+
+    // Keep the LoRA scale and the other settings the inpainting model shares
+    // with the original; only the primary avatar's LoRA is applied
+    const parameters = image.parameters || {};
+    const original = Object.fromEntries(
+      Object.keys(model.parameters)
+        .filter(key => key !== 'num_outputs' && parameters[key] !== undefined && parameters[key] !== null)
+        .map(key => [key, parameters[key]])
+    );
+
+    const { prompt: rawPrompt, mask, ...overrides } = value;
+    const { error: settingsError, value: options } = model.settingsSchema.validate(
+      { ...original, num_outputs: 1, ...overrides },
+      { stripUnknown: true }
+    );
+    if (settingsError) {
+      return res.status(400).json({ message: settingsError.details[0].message });
+    }
+
+    const prompt = processPrompt(rawPrompt, await loadSnippets(user.id));
+    if (prompt.error) {
+      return res.status(400).json({ message: prompt.error });
+    }
+
+    const { error: promptError } = promptInput(prompt, model, [avatarLora(image.avatar, options.lora_scale)]);
+    if (promptError) {
+      return res.status(400).json({ message: promptError });
+    }
+
+    const { buffer, extension, error: maskError } = decodeImageUpload(mask);
+    if (maskError) {
+      return res.status(400).json({ message: maskError });
+    }
+
+    const { url: maskUrl } = await imageStorage.uploadInputImage(buffer, extension, image.avatar.fullName, 'mask');
+
+    console.log(`🖌️ Inpainting image ${image.id} for user ${user.email} with avatar: "${image.avatar.fullName}" on ${model.id}`);
+
+    const { job, error: queueError } = await queueGeneration(user, image.avatar, prompt, options, {
+      kind: 'INPAINT',
+      edit: { model, imageUrl, maskUrl },
+      parent: { operation: 'INPAINT', imageId: image.id.toString() }
+    });
+
+    if (queueError) {
+      return res.status(400).json({ message: queueError });
+    }
+
+    res.status(202).json({
+      message: 'Inpainting queued',
+      job: serializeGenerationJob(job)
+    });
   } catch (error) {
-    console.error('Image fetch error:', error);
-    res.status(500).json({ message: 'Error fetching image' });
+    console.error('Image inpainting error:', error);
+    res.status(500).json({ message: 'Error queueing inpainting' });
   }
 });
 
@@ -378,18 +1342,21 @@ router.delete('/:imageId', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Image not found' });
     }
 
-    // Delete from GitHub if it's a GitHub-stored image
-    if (image.githubImageUrl && 
-        image.githubImageUrl.startsWith('https://raw.githubusercontent.com/') &&
-        !image.githubImageUrl.startsWith('PENDING_REVIEW:')) {
-      
+    // Delete the stored copy if the image was uploaded
+    if (image.storedUrl) {
+      try {
+        await imageStorage.deleteImage(image.storedUrl);
+      } catch (storageError) {
+        console.error('Failed to delete image from storage:', storageError);
+        // Continue with database deletion even if storage deletion fails
+      }
+    }
+
+    if (image.processedUrl) {
       try {
-        console.log(`🗑️ Deleting image from GitHub: ${image.githubImageUrl}`);
-        await githubStorage.deleteImage(image.githubImageUrl);
-        console.log(`✅ Image deleted from GitHub successfully`);
-      } catch (githubError) {
-        console.error('Failed to delete image from GitHub:', githubError);
-        // Continue with database deletion even if GitHub deletion fails
+        await imageStorage.deleteImage(image.processedUrl);
+      } catch (storageError) {
+        console.error('Failed to delete processed image from storage:', storageError);
       }
     }
 
@@ -404,16 +1371,13 @@ router.delete('/:imageId', authenticateToken, async (req, res) => {
         const remainingImages = await prisma.avatarGenerated.count({
           where: {
             avatarId: image.avatarId,
-            githubImageUrl: {
-              startsWith: 'https://raw.githubusercontent.com/',
-              not: { startsWith: 'PENDING_REVIEW:' }
-            }
+            storedUrl: { not: null }
           }
         });
 
         if (remainingImages === 0) {
           console.log(`📁 No more images for avatar ${image.avatar.fullName}, checking folder cleanup`);
-          await githubStorage.deleteAvatarFolderIfEmpty(image.avatar.fullName);
+          await imageStorage.deleteAvatarFolderIfEmpty(image.avatar.fullName);
         }
       } catch (cleanupError) {
         console.error('Failed to cleanup avatar folder:', cleanupError);
@@ -430,9 +1394,126 @@ router.delete('/:imageId', authenticateToken, async (req, res) => {
 
 // Image Review Actions
 
-// Like action - Approve and upload to GitHub
+// Bulk like action - Approve several images, storing them in one go (a single
+// commit on backends with putMany, like GitHub). Reports a result per image,
+// in the order requested.
+router.post('/like', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = bulkLikeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    // Get user's contact IDs
+    const userContacts = await prisma.contact.findMany({
+      where: { userId: req.user.id },
+      select: { id: true }
+    });
+
+    const contactIds = userContacts.map(contact => contact.id);
+
+    const avatarSelect = {
+      select: {
+        id: true,
+        fullName: true,
+        replicateModelUrl: true,
+        triggerWord: true
+      }
+    };
+
+    const images = await prisma.avatarGenerated.findMany({
+      where: {
+        id: { in: value.imageIds.map(id => BigInt(id)) },
+        avatar: {
+          OR: [
+            { contactId: { in: contactIds } },
+            { contactId: null }
+          ]
+        }
+      },
+      include: { avatar: avatarSelect }
+    });
+
+    const imagesById = new Map(images.map(image => [image.id.toString(), image]));
+    const results = value.imageIds.map(imageId => {
+      const image = imagesById.get(imageId);
+      if (!image) {
+        return { imageId, error: 'Image not found' };
+      }
+      if (!REVIEWABLE_STATUSES.includes(image.reviewStatus)) {
+        return { imageId, error: 'Image is not pending review' };
+      }
+      return { imageId };
+    });
+
+    const reviewable = results.filter(result => !result.error).map(result => imagesById.get(result.imageId));
+    console.log(`👍 Approving ${reviewable.length} images for user ${req.user.email}`);
+
+    const uploads = await imageStorage.uploadImages(reviewable.map(image => ({
+      imageUrl: image.sourceUrl,
+      prompt: image.prompt,
+      avatarName: image.avatar.fullName
+    })));
+
+    for (const [position, image] of reviewable.entries()) {
+      const result = results.find(candidate => candidate.imageId === image.id.toString());
+      const upload = uploads[position];
+
+      if (upload.error) {
+        const failedImage = await prisma.avatarGenerated.update({
+          where: { id: image.id },
+          data: { reviewStatus: 'UPLOAD_FAILED' },
+          include: { avatar: avatarSelect }
+        });
+        result.error = upload.error;
+        result.image = serializeGeneratedImage(failedImage);
+        continue;
+      }
+
+      // A failed post-processing step doesn't undo the approval
+      let processed = {};
+      if (value.postProcess) {
+        try {
+          processed = await createProcessedVariant(image, upload.url, value.postProcess);
+        } catch (processingError) {
+          console.error('Failed to post-process approved image:', processingError);
+          result.postProcessingError = processingError.message;
+        }
+      }
+
+      const updatedImage = await prisma.avatarGenerated.update({
+        where: { id: image.id },
+        data: {
+          reviewStatus: 'APPROVED',
+          storedUrl: upload.url,
+          reviewedAt: new Date(),
+          ...processed
+        },
+        include: { avatar: avatarSelect }
+      });
+      result.image = serializeGeneratedImage(updatedImage);
+    }
+
+    const approved = results.filter(result => !result.error).length;
+    res.json({
+      message: `Approved ${approved} of ${results.length} images`,
+      results
+    });
+
+  } catch (error) {
+    console.error('Bulk image approval error:', error);
+    res.status(500).json({ message: 'Error approving images' });
+  }
+});
+
+// Like action - Approve and store the image
 router.post('/:imageId/like', authenticateToken, async (req, res) => {
   try {
+    const { error, value } = reviewActionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
     const imageId = BigInt(req.params.imageId);
 
     // Get user's contact IDs
@@ -477,27 +1558,40 @@ router.post('/:imageId/like', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Image not found' });
     }
 
-    // Check if it's pending review
-    if (!image.githubImageUrl.startsWith('PENDING_REVIEW:')) {
+    // Check if it's pending review (or a failed upload being retried)
+    if (!REVIEWABLE_STATUSES.includes(image.reviewStatus)) {
       return res.status(400).json({ message: 'Image is not pending review' });
     }
 
-    const replicateUrl = image.githubImageUrl.replace('PENDING_REVIEW:', '');
-
     try {
-      // Upload to GitHub
-      console.log(`👍 Approving and uploading image to GitHub for avatar: ${image.avatar.fullName}`);
-      const uploadResult = await githubStorage.uploadImage(
-        replicateUrl, 
+      // Store the image on the configured backend
+      console.log(`👍 Approving and storing image on ${imageStorage.name} for avatar: ${image.avatar.fullName}`);
+      const uploadResult = await imageStorage.uploadImage(
+        image.sourceUrl, 
         image.prompt, 
         image.avatar.fullName
       );
 
-      // Update database with GitHub URL
+      // A failed post-processing step doesn't undo the approval
+      let processed = {};
+      let postProcessingError;
+      if (value.postProcess) {
+        try {
+          processed = await createProcessedVariant(image, uploadResult.url, value.postProcess);
+        } catch (processingError) {
+          console.error('Failed to post-process approved image:', processingError);
+          postProcessingError = processingError.message;
+        }
+      }
+
+      // Update database with the stored URL
       const updatedImage = await prisma.avatarGenerated.update({
         where: { id: imageId },
         data: {
-          githubImageUrl: uploadResult.url
+          reviewStatus: 'APPROVED',
+          storedUrl: uploadResult.url,
+          reviewedAt: new Date(),
+          ...processed
         },
         include: {
           avatar: {
@@ -511,30 +1605,34 @@ router.post('/:imageId/like', authenticateToken, async (req, res) => {
         }
       });
 
-      // Serialize response
-      const serializedImage = {
-        ...updatedImage,
-        id: updatedImage.id.toString(),
-        avatarId: updatedImage.avatarId.toString(),
-        imageUrl: updatedImage.githubImageUrl,
-        isPendingReview: false,
-        avatar: updatedImage.avatar ? {
-          ...updatedImage.avatar,
-          id: updatedImage.avatar.id.toString()
-        } : updatedImage.avatar
-      };
-
-      // Debug logging
-      console.log(`🔍 DEBUG - Stored GitHub URL: ${updatedImage.githubImageUrl}`);
-
       res.json({
-        message: 'Image approved and uploaded to GitHub successfully',
-        image: serializedImage
+        message: 'Image approved and stored successfully',
+        image: serializeGeneratedImage(updatedImage),
+        ...(postProcessingError && { postProcessingError })
       });
 
     } catch (uploadError) {
-      console.error('Failed to upload approved image to GitHub:', uploadError);
-      res.status(500).json({ message: 'Failed to upload image to GitHub' });
+      console.error(`Failed to store approved image on ${imageStorage.name}:`, uploadError);
+
+      const failedImage = await prisma.avatarGenerated.update({
+        where: { id: imageId },
+        data: { reviewStatus: 'UPLOAD_FAILED' },
+        include: {
+          avatar: {
+            select: {
+              id: true,
+              fullName: true,
+              replicateModelUrl: true,
+              triggerWord: true
+            }
+          }
+        }
+      });
+
+      res.status(500).json({
+        message: 'Failed to store image',
+        image: serializeGeneratedImage(failedImage)
+      });
     }
 
   } catch (error) {
@@ -543,7 +1641,7 @@ router.post('/:imageId/like', authenticateToken, async (req, res) => {
   }
 });
 
-// Dislike action - Reject and delete
+// Dislike action - Reject
 router.post('/:imageId/dislike', authenticateToken, async (req, res) => {
   try {
     const imageId = BigInt(req.params.imageId);
@@ -581,17 +1679,21 @@ router.post('/:imageId/dislike', authenticateToken, async (req, res) => {
     }
 
     // Check if it's pending review
-    if (!image.githubImageUrl.startsWith('PENDING_REVIEW:')) {
+    if (!REVIEWABLE_STATUSES.includes(image.reviewStatus)) {
       return res.status(400).json({ message: 'Image is not pending review' });
     }
 
-    // Delete from database (no need to delete from GitHub since it's not uploaded yet)
-    await prisma.avatarGenerated.delete({
-      where: { id: imageId }
+    // Mark as rejected (nothing to delete from storage since it's not stored yet)
+    await prisma.avatarGenerated.update({
+      where: { id: imageId },
+      data: {
+        reviewStatus: 'REJECTED',
+        reviewedAt: new Date()
+      }
     });
 
-    console.log(`👎 Image rejected and deleted: ${imageId}`);
-    res.json({ message: 'Image rejected and deleted successfully' });
+    console.log(`👎 Image rejected: ${imageId}`);
+    res.json({ message: 'Image rejected successfully' });
 
   } catch (error) {
     console.error('Image rejection error:', error);
@@ -599,9 +1701,14 @@ router.post('/:imageId/dislike', authenticateToken, async (req, res) => {
   }
 });
 
-// Download action - Approve, upload to GitHub, and provide download
+// Download action - Approve, store, and provide download
 router.post('/:imageId/download', authenticateToken, async (req, res) => {
   try {
+    const { error, value } = reviewActionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
     const imageId = BigInt(req.params.imageId);
 
     // Get user's contact IDs
@@ -646,43 +1753,80 @@ router.post('/:imageId/download', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Image not found' });
     }
 
+    if (image.reviewStatus === 'REJECTED') {
+      return res.status(400).json({ message: 'Image was rejected' });
+    }
+
     let downloadUrl;
+    let reviewStatus = image.reviewStatus;
     
-    if (image.githubImageUrl.startsWith('PENDING_REVIEW:')) {
-      // Upload to GitHub first
-      const replicateUrl = image.githubImageUrl.replace('PENDING_REVIEW:', '');
-
+    if (REVIEWABLE_STATUSES.includes(image.reviewStatus)) {
+      // Store the image first
       try {
         console.log(`💾 Approving and uploading image for download: ${image.avatar.fullName}`);
-        const uploadResult = await githubStorage.uploadImage(
-          replicateUrl, 
+        const uploadResult = await imageStorage.uploadImage(
+          image.sourceUrl, 
           image.prompt, 
           image.avatar.fullName
         );
 
-        // Update database with GitHub URL
+        // Update database with the stored URL
         await prisma.avatarGenerated.update({
           where: { id: imageId },
           data: {
-            githubImageUrl: uploadResult.url
+            reviewStatus: 'APPROVED',
+            storedUrl: uploadResult.url,
+            reviewedAt: new Date()
           }
         });
 
         downloadUrl = uploadResult.url;
+        reviewStatus = 'APPROVED';
       } catch (uploadError) {
         console.error('Failed to upload image for download:', uploadError);
+        await prisma.avatarGenerated.update({
+          where: { id: imageId },
+          data: { reviewStatus: 'UPLOAD_FAILED' }
+        });
+
         // Fallback to original Replicate URL
-        downloadUrl = replicateUrl;
+        downloadUrl = image.sourceUrl;
+        reviewStatus = 'UPLOAD_FAILED';
       }
     } else {
-      // Already uploaded, use existing GitHub URL
-      downloadUrl = image.githubImageUrl;
+      // Already stored, use the existing stored URL
+      downloadUrl = image.storedUrl;
+    }
+
+    // Download the processed variant instead when one was asked for
+    let extension = 'jpg';
+    let processedUrl = image.processedUrl;
+    let postProcessingError;
+    if (value.postProcess) {
+      try {
+        const processed = await createProcessedVariant(image, downloadUrl, value.postProcess);
+        await prisma.avatarGenerated.update({
+          where: { id: imageId },
+          data: processed
+        });
+
+        processedUrl = processed.processedUrl;
+        downloadUrl = processedUrl;
+        // From the key, as URLs can carry a query string
+        extension = imageStorage.keyFromUrl(processedUrl).split('.').pop();
+      } catch (processingError) {
+        console.error('Failed to post-process image for download:', processingError);
+        postProcessingError = processingError.message;
+      }
     }
 
     res.json({
       message: 'Image ready for download',
-      downloadUrl: downloadUrl,
-      filename: `${image.avatar.fullName}-${image.id}.jpg`
+      downloadUrl: imageStorage.displayUrl(downloadUrl),
+      processedUrl: processedUrl ? imageStorage.displayUrl(processedUrl) : null,
+      reviewStatus: reviewStatus,
+      filename: `${image.avatar.fullName}-${image.id}.${extension}`,
+      ...(postProcessingError && { postProcessingError })
     });
 
   } catch (error) {
@@ -0,0 +1,228 @@
+const express = require('express');
+const prisma = require('../lib/database');
+const { authenticateToken } = require('../middleware/auth');
+const generationEvents = require('../lib/generationEvents');
+const generationQueue = require('../lib/generationQueue');
+const { serializeGenerationJob } = require('../lib/serializers');
+
+const router = express.Router();
+
+const TERMINAL_STATUSES = ['SUCCEEDED', 'FAILED', 'CANCELED'];
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+const jobInclude = {
+  avatar: {
+    select: {
+      id: true,
+      fullName: true,
+      triggerWord: true
+    }
+  },
+  predictions: {
+    orderBy: { position: 'asc' }
+  },
+  images: {
+    orderBy: { id: 'asc' },
+    include: {
+      avatar: {
+        select: {
+          id: true,
+          fullName: true,
+          replicateModelUrl: true,
+          triggerWord: true
+        }
+      },
+      contributors: {
+        select: {
+          avatarId: true,
+          scale: true,
+          avatar: { select: { fullName: true } }
+        }
+      }
+    }
+  }
+};
+
+// Get user's recent generation jobs
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const jobs = await prisma.generationJob.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      include: jobInclude
+    });
+
+    res.json({ jobs: jobs.map(serializeGenerationJob) });
+  } catch (error) {
+    console.error('Jobs fetch error:', error);
+    res.status(500).json({ message: 'Error fetching generation jobs' });
+  }
+});
+
+// Get a single generation job with its resulting images
+router.get('/:jobId', authenticateToken, async (req, res) => {
+  try {
+    const jobId = BigInt(req.params.jobId);
+
+    const job = await prisma.generationJob.findFirst({
+      where: {
+        id: jobId,
+        userId: req.user.id
+      },
+      include: jobInclude
+    });
+
+    if (!job) {
+      return res.status(404).json({ message: 'Generation job not found' });
+    }
+
+    res.json({ job: serializeGenerationJob(job) });
+  } catch (error) {
+    console.error('Job fetch error:', error);
+    res.status(500).json({ message: 'Error fetching generation job' });
+  }
+});
+
+// Cancel an in-flight generation job
+router.post('/:jobId/cancel', authenticateToken, async (req, res) => {
+  try {
+    const jobId = BigInt(req.params.jobId);
+
+    const job = await prisma.generationJob.findFirst({
+      where: {
+        id: jobId,
+        userId: req.user.id
+      },
+      select: { id: true }
+    });
+
+    if (!job) {
+      return res.status(404).json({ message: 'Generation job not found' });
+    }
+
+    const canceled = await generationQueue.cancelJob(job.id);
+
+    if (!canceled) {
+      return res.status(409).json({ message: 'Generation job has already finished' });
+    }
+
+    const updatedJob = await prisma.generationJob.findUnique({
+      where: { id: job.id },
+      include: jobInclude
+    });
+
+    res.json({
+      message: 'Generation canceled',
+      job: serializeGenerationJob(updatedJob)
+    });
+  } catch (error) {
+    console.error('Job cancel error:', error);
+    res.status(500).json({ message: 'Error canceling generation job' });
+  }
+});
+
+// Stream job progress as Server-Sent Events
+// Events: snapshot, job, prediction, logs, image, done
+router.get('/:jobId/events', authenticateToken, async (req, res) => {
+  let jobId;
+  try {
+    jobId = BigInt(req.params.jobId);
+  } catch (parseError) {
+    return res.status(404).json({ message: 'Generation job not found' });
+  }
+
+  const findJob = () => prisma.generationJob.findFirst({
+    where: {
+      id: jobId,
+      userId: req.user.id
+    },
+    include: jobInclude
+  });
+
+  // Subscribe before reading the snapshot so no event is lost in between;
+  // anything published meanwhile is buffered and flushed after the snapshot
+  const buffered = [];
+  let ready = false;
+  let closed = false;
+  let heartbeat;
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const finish = async (data) => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+
+    try {
+      const job = await findJob();
+      send('done', { ...data, job: job ? serializeGenerationJob(job) : null });
+    } catch (error) {
+      console.error('Job event stream error:', error);
+      send('done', data);
+    }
+    res.end();
+  };
+
+  const handleEvent = ({ type, data }) => {
+    if (!ready) {
+      buffered.push({ type, data });
+    } else if (type === 'done') {
+      finish(data);
+    } else if (!closed) {
+      send(type, data);
+    }
+  };
+
+  const unsubscribe = generationEvents.subscribe(jobId, handleEvent);
+
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    const job = await findJob();
+
+    if (!job) {
+      unsubscribe();
+      return res.status(404).json({ message: 'Generation job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering
+    });
+    res.flushHeaders();
+
+    send('snapshot', { job: serializeGenerationJob(job) });
+
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      closed = true;
+      send('done', { status: job.status, error: job.error, job: serializeGenerationJob(job) });
+      return res.end();
+    }
+
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    ready = true;
+    buffered.forEach(handleEvent);
+  } catch (error) {
+    console.error('Job event stream error:', error);
+    unsubscribe();
+    if (!res.headersSent) {
+      return res.status(500).json({ message: 'Error streaming generation job' });
+    }
+    res.end();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const imageStorage = require('../lib/storage');
+
+const router = express.Router();
+
+// Presigned URLs expire, so redirects to them are only cached briefly
+const REDIRECT_MAX_AGE_SECONDS = 5 * 60;
+
+// Serve a stored file from backends without public URLs. The expiring signed
+// URL, issued along with the image to a user who can see it, stands in for
+// the Authorization header, which <img> tags can't send.
+router.get('/*', async (req, res) => {
+  try {
+    const media = await imageStorage.media(req.params[0], req.query.exp, req.query.sig);
+
+    if (!media) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    // Stored files never change, so they are cached until the URL expires
+    const maxAge = Math.max(Math.floor(Number(req.query.exp) - Date.now() / 1000), 0);
+
+    if (media.redirectUrl) {
+      res.set('Cache-Control', `private, max-age=${Math.min(maxAge, REDIRECT_MAX_AGE_SECONDS)}`);
+      return res.redirect(302, media.redirectUrl);
+    }
+
+    res.set({
+      'Cache-Control': `private, max-age=${maxAge}, immutable`,
+      // Stored SVGs are shown as images, never run as documents
+      'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'",
+      // The frontend dev server runs on another port
+      'Cross-Origin-Resource-Policy': 'same-site'
+    });
+    res.type(media.contentType).send(media.buffer);
+  } catch (error) {
+    console.error('Media error:', error);
+    res.status(500).json({ message: 'Error reading file' });
+  }
+});
+
+module.exports = router;
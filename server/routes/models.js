@@ -0,0 +1,15 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { MODELS, DEFAULT_MODEL, serializeModel } = require('../lib/models');
+
+const router = express.Router();
+
+// Get the supported base models with their parameters and defaults
+router.get('/', authenticateToken, (req, res) => {
+  res.json({
+    defaultModel: DEFAULT_MODEL,
+    models: Object.values(MODELS).map(serializeModel)
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const Joi = require('joi');
+const prisma = require('../lib/database');
+const { authenticateToken } = require('../middleware/auth');
+const { presetSettingsSchema } = require('../lib/models');
+const { serializeGenerationPreset } = require('../lib/serializers');
+
+const router = express.Router();
+
+// Validation schema for preset creation/update
+const presetSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  settings: presetSettingsSchema.min(1).required()
+});
+
+const findUserPreset = (userId, presetId) => prisma.generationPreset.findFirst({
+  where: {
+    id: BigInt(presetId),
+    userId
+  }
+});
+
+// Get user's presets (each model's built-in defaults come from /api/models)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const presets = await prisma.generationPreset.findMany({
+      where: { userId: req.user.id },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      presets: presets.map(serializeGenerationPreset)
+    });
+  } catch (error) {
+    console.error('Presets fetch error:', error);
+    res.status(500).json({ message: 'Error fetching presets' });
+  }
+});
+
+// Create new preset
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = presetSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const existingPreset = await prisma.generationPreset.findUnique({
+      where: {
+        userId_name: {
+          userId: req.user.id,
+          name: value.name
+        }
+      }
+    });
+
+    if (existingPreset) {
+      return res.status(400).json({ message: 'A preset with this name already exists' });
+    }
+
+    const preset = await prisma.generationPreset.create({
+      data: {
+        userId: req.user.id,
+        ...value
+      }
+    });
+
+    res.status(201).json({
+      message: 'Preset created successfully',
+      preset: serializeGenerationPreset(preset)
+    });
+  } catch (error) {
+    console.error('Preset creation error:', error);
+    res.status(500).json({ message: 'Error creating preset' });
+  }
+});
+
+// Update preset
+router.put('/:presetId', authenticateToken, async (req, res) => {
+  try {
+    const existingPreset = await findUserPreset(req.user.id, req.params.presetId);
+
+    if (!existingPreset) {
+      return res.status(404).json({ message: 'Preset not found' });
+    }
+
+    const { error, value } = presetSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    // Check the new name isn't taken by another preset
+    if (value.name !== existingPreset.name) {
+      const duplicatePreset = await prisma.generationPreset.findUnique({
+        where: {
+          userId_name: {
+            userId: req.user.id,
+            name: value.name
+          }
+        }
+      });
+
+      if (duplicatePreset) {
+        return res.status(400).json({ message: 'A preset with this name already exists' });
+      }
+    }
+
+    const preset = await prisma.generationPreset.update({
+      where: { id: existingPreset.id },
+      data: value
+    });
+
+    res.json({
+      message: 'Preset updated successfully',
+      preset: serializeGenerationPreset(preset)
+    });
+  } catch (error) {
+    console.error('Preset update error:', error);
+    res.status(500).json({ message: 'Error updating preset' });
+  }
+});
+
+// Delete preset (avatars using it as their default fall back to the defaults)
+router.delete('/:presetId', authenticateToken, async (req, res) => {
+  try {
+    const existingPreset = await findUserPreset(req.user.id, req.params.presetId);
+
+    if (!existingPreset) {
+      return res.status(404).json({ message: 'Preset not found' });
+    }
+
+    await prisma.generationPreset.delete({
+      where: { id: existingPreset.id }
+    });
+
+    res.json({ message: 'Preset deleted successfully' });
+  } catch (error) {
+    console.error('Preset deletion error:', error);
+    res.status(500).json({ message: 'Error deleting preset' });
+  }
+});
+
+module.exports = router;
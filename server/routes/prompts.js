@@ -0,0 +1,224 @@
+const express = require('express');
+const Joi = require('joi');
+const prisma = require('../lib/database');
+const { authenticateToken } = require('../middleware/auth');
+const { TRIGGER_VARIABLE, renderTemplate } = require('../lib/promptTemplates');
+const { serializePromptTemplate } = require('../lib/serializers');
+
+const router = express.Router();
+
+// Validation schema for template creation/update
+const templateSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  template: Joi.string().min(3).max(1000).required(),
+  description: Joi.string().max(500).optional().allow('', null)
+});
+
+// Values for a template's placeholders; {{trigger}} comes from the avatar
+const renderSchema = Joi.object({
+  avatarId: Joi.string().optional(),
+  variables: Joi.object().pattern(/^[a-zA-Z_]\w*$/, Joi.alternatives(Joi.string().allow(''), Joi.number())).default({})
+});
+
+const findUserTemplate = (userId, templateId) => prisma.promptTemplate.findFirst({
+  where: {
+    id: BigInt(templateId),
+    userId
+  }
+});
+
+// Get user's prompt templates
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const templates = await prisma.promptTemplate.findMany({
+      where: { userId: req.user.id },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({ templates: templates.map(serializePromptTemplate) });
+  } catch (error) {
+    console.error('Prompt templates fetch error:', error);
+    res.status(500).json({ message: 'Error fetching prompt templates' });
+  }
+});
+
+// Get single prompt template
+router.get('/:templateId', authenticateToken, async (req, res) => {
+  try {
+    const template = await findUserTemplate(req.user.id, req.params.templateId);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Prompt template not found' });
+    }
+
+    res.json({ template: serializePromptTemplate(template) });
+  } catch (error) {
+    console.error('Prompt template fetch error:', error);
+    res.status(500).json({ message: 'Error fetching prompt template' });
+  }
+});
+
+// Create new prompt template
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = templateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const existingTemplate = await prisma.promptTemplate.findUnique({
+      where: {
+        userId_name: {
+          userId: req.user.id,
+          name: value.name
+        }
+      }
+    });
+
+    if (existingTemplate) {
+      return res.status(400).json({ message: 'A template with this name already exists' });
+    }
+
+    const template = await prisma.promptTemplate.create({
+      data: {
+        userId: req.user.id,
+        ...value
+      }
+    });
+
+    res.status(201).json({
+      message: 'Prompt template created successfully',
+      template: serializePromptTemplate(template)
+    });
+  } catch (error) {
+    console.error('Prompt template creation error:', error);
+    res.status(500).json({ message: 'Error creating prompt template' });
+  }
+});
+
+// Update prompt template
+router.put('/:templateId', authenticateToken, async (req, res) => {
+  try {
+    const existingTemplate = await findUserTemplate(req.user.id, req.params.templateId);
+
+    if (!existingTemplate) {
+      return res.status(404).json({ message: 'Prompt template not found' });
+    }
+
+    const { error, value } = templateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    // Check the new name isn't taken by another template
+    if (value.name !== existingTemplate.name) {
+      const duplicateTemplate = await prisma.promptTemplate.findUnique({
+        where: {
+          userId_name: {
+            userId: req.user.id,
+            name: value.name
+          }
+        }
+      });
+
+      if (duplicateTemplate) {
+        return res.status(400).json({ message: 'A template with this name already exists' });
+      }
+    }
+
+    const template = await prisma.promptTemplate.update({
+      where: { id: existingTemplate.id },
+      data: value
+    });
+
+    res.json({
+      message: 'Prompt template updated successfully',
+      template: serializePromptTemplate(template)
+    });
+  } catch (error) {
+    console.error('Prompt template update error:', error);
+    res.status(500).json({ message: 'Error updating prompt template' });
+  }
+});
+
+// Delete prompt template
+router.delete('/:templateId', authenticateToken, async (req, res) => {
+  try {
+    const existingTemplate = await findUserTemplate(req.user.id, req.params.templateId);
+
+    if (!existingTemplate) {
+      return res.status(404).json({ message: 'Prompt template not found' });
+    }
+
+    await prisma.promptTemplate.delete({
+      where: { id: existingTemplate.id }
+    });
+
+    res.json({ message: 'Prompt template deleted successfully' });
+  } catch (error) {
+    console.error('Prompt template deletion error:', error);
+    res.status(500).json({ message: 'Error deleting prompt template' });
+  }
+});
+
+// Render a template into a final prompt. The result is meant for /images/generate,
+// which still adds the trigger word if the template didn't place it.
+router.post('/:templateId/render', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = renderSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const template = await findUserTemplate(req.user.id, req.params.templateId);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Prompt template not found' });
+    }
+
+    const variables = { ...value.variables };
+
+    if (value.avatarId) {
+      // Get user's contact IDs
+      const userContacts = await prisma.contact.findMany({
+        where: { userId: req.user.id },
+        select: { id: true }
+      });
+
+      const contactIds = userContacts.map(contact => contact.id);
+
+      const avatar = await prisma.avatar.findFirst({
+        where: {
+          id: BigInt(value.avatarId),
+          OR: [
+            { contactId: { in: contactIds } },
+            { contactId: null } // Include avatars without contact association
+          ]
+        },
+        select: { triggerWord: true }
+      });
+
+      if (!avatar) {
+        return res.status(400).json({ message: 'Avatar not found or not accessible.' });
+      }
+
+      variables[TRIGGER_VARIABLE] = avatar.triggerWord;
+    }
+
+    const { prompt, missing } = renderTemplate(template.template, variables);
+
+    if (missing.length > 0) {
+      return res.status(400).json({
+        message: `Missing values for: ${missing.join(', ')}`,
+        missing
+      });
+    }
+
+    res.json({ prompt });
+  } catch (error) {
+    console.error('Prompt template render error:', error);
+    res.status(500).json({ message: 'Error rendering prompt template' });
+  }
+});
+
+module.exports = router;
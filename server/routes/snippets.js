@@ -0,0 +1,142 @@
+const express = require('express');
+const Joi = require('joi');
+const prisma = require('../lib/database');
+const { authenticateToken } = require('../middleware/auth');
+const { serializePromptSnippet } = require('../lib/serializers');
+
+const router = express.Router();
+
+// Validation schema for snippet creation/update. Names are referenced as
+// $name in prompts and matched case-insensitively, so they are stored lowercase.
+const snippetSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-zA-Z_][\w-]*$/).max(50).lowercase().required()
+    .messages({ 'string.pattern.base': 'Snippet names start with a letter or underscore and contain only letters, digits, _ and -' }),
+  text: Joi.string().min(1).max(1000).required()
+});
+
+const findUserSnippet = (userId, snippetId) => prisma.promptSnippet.findFirst({
+  where: {
+    id: BigInt(snippetId),
+    userId
+  }
+});
+
+// Get user's prompt snippets
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const snippets = await prisma.promptSnippet.findMany({
+      where: { userId: req.user.id },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({ snippets: snippets.map(serializePromptSnippet) });
+  } catch (error) {
+    console.error('Prompt snippets fetch error:', error);
+    res.status(500).json({ message: 'Error fetching prompt snippets' });
+  }
+});
+
+// Create new prompt snippet
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = snippetSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const existingSnippet = await prisma.promptSnippet.findUnique({
+      where: {
+        userId_name: {
+          userId: req.user.id,
+          name: value.name
+        }
+      }
+    });
+
+    if (existingSnippet) {
+      return res.status(400).json({ message: 'A snippet with this name already exists' });
+    }
+
+    const snippet = await prisma.promptSnippet.create({
+      data: {
+        userId: req.user.id,
+        ...value
+      }
+    });
+
+    res.status(201).json({
+      message: 'Prompt snippet created successfully',
+      snippet: serializePromptSnippet(snippet)
+    });
+  } catch (error) {
+    console.error('Prompt snippet creation error:', error);
+    res.status(500).json({ message: 'Error creating prompt snippet' });
+  }
+});
+
+// Update prompt snippet
+router.put('/:snippetId', authenticateToken, async (req, res) => {
+  try {
+    const existingSnippet = await findUserSnippet(req.user.id, req.params.snippetId);
+
+    if (!existingSnippet) {
+      return res.status(404).json({ message: 'Prompt snippet not found' });
+    }
+
+    const { error, value } = snippetSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    // Check the new name isn't taken by another snippet
+    if (value.name !== existingSnippet.name) {
+      const duplicateSnippet = await prisma.promptSnippet.findUnique({
+        where: {
+          userId_name: {
+            userId: req.user.id,
+            name: value.name
+          }
+        }
+      });
+
+      if (duplicateSnippet) {
+        return res.status(400).json({ message: 'A snippet with this name already exists' });
+      }
+    }
+
+    const snippet = await prisma.promptSnippet.update({
+      where: { id: existingSnippet.id },
+      data: value
+    });
+
+    res.json({
+      message: 'Prompt snippet updated successfully',
+      snippet: serializePromptSnippet(snippet)
+    });
+  } catch (error) {
+    console.error('Prompt snippet update error:', error);
+    res.status(500).json({ message: 'Error updating prompt snippet' });
+  }
+});
+
+// Delete prompt snippet
+router.delete('/:snippetId', authenticateToken, async (req, res) => {
+  try {
+    const existingSnippet = await findUserSnippet(req.user.id, req.params.snippetId);
+
+    if (!existingSnippet) {
+      return res.status(404).json({ message: 'Prompt snippet not found' });
+    }
+
+    await prisma.promptSnippet.delete({
+      where: { id: existingSnippet.id }
+    });
+
+    res.json({ message: 'Prompt snippet deleted successfully' });
+  } catch (error) {
+    console.error('Prompt snippet deletion error:', error);
+    res.status(500).json({ message: 'Error deleting prompt snippet' });
+  }
+});
+
+module.exports = router;
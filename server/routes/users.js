@@ -1,6 +1,7 @@
 const express = require('express');
 const prisma = require('../lib/database');
 const { authenticateToken } = require('../middleware/auth');
+const { serializeGeneratedImage } = require('../lib/serializers');
 
 const router = express.Router();
 
@@ -33,7 +34,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
     
     const [imageStats, avatarStats, recentImages] = await Promise.all([
       prisma.avatarGenerated.aggregate({
-        where: { avatarId: { in: avatarIds } },
+        where: { avatarId: { in: avatarIds }, reviewStatus: 'APPROVED' },
         _count: { id: true }
       }),
       prisma.avatar.aggregate({
@@ -47,13 +48,15 @@ router.get('/stats', authenticateToken, async (req, res) => {
         _count: { id: true }
       }),
       prisma.avatarGenerated.findMany({
-        where: { avatarId: { in: avatarIds } },
+        where: { avatarId: { in: avatarIds }, reviewStatus: 'APPROVED' },
         orderBy: { createdAt: 'desc' },
         take: 5,
         select: {
           id: true,
           prompt: true,
-          githubImageUrl: true,
+          reviewStatus: true,
+          sourceUrl: true,
+          storedUrl: true,
           createdAt: true,
           avatar: {
             select: {
@@ -66,17 +69,8 @@ router.get('/stats', authenticateToken, async (req, res) => {
       })
     ]);
 
-    // Convert BigInt to string for JSON serialization and map field names
-    const serializedRecentImages = recentImages.map(image => ({
-      id: image.id.toString(),
-      prompt: image.prompt,
-      imageUrl: image.githubImageUrl, // Map to frontend expected field name
-      createdAt: image.createdAt,
-      avatar: image.avatar ? {
-        ...image.avatar,
-        id: image.avatar.id.toString()
-      } : null
-    }));
+    // Convert BigInt to string for JSON serialization
+    const serializedRecentImages = recentImages.map(serializeGeneratedImage);
 
     res.json({
       totalImages: imageStats._count.id,
@@ -0,0 +1,50 @@
+const express = require('express');
+const generationQueue = require('../lib/generationQueue');
+const replicateProvider = require('../lib/providers/replicate');
+const { verifyWebhookSignature } = require('../lib/replicateWebhooks');
+
+const router = express.Router();
+
+// Signature verification needs the exact bytes Replicate signed
+router.use(express.raw({ type: 'application/json', limit: '1mb' }));
+
+// Replicate prediction webhook
+router.post('/replicate', async (req, res) => {
+  try {
+    if (!process.env.REPLICATE_WEBHOOK_SECRET) {
+      return res.status(503).json({ message: 'Replicate webhooks are not configured' });
+    }
+
+    if (!Buffer.isBuffer(req.body) || !verifyWebhookSignature(req.headers, req.body)) {
+      console.warn('⚠️ Rejected Replicate webhook with invalid signature');
+      return res.status(401).json({ message: 'Invalid webhook signature' });
+    }
+
+    let prediction;
+    try {
+      prediction = JSON.parse(req.body.toString('utf8'));
+    } catch (parseError) {
+      return res.status(400).json({ message: 'Invalid webhook payload' });
+    }
+
+    if (!prediction.id || !prediction.status) {
+      return res.status(400).json({ message: 'Invalid webhook payload' });
+    }
+
+    const row = await generationQueue.handleWebhook(replicateProvider.normalize(prediction));
+
+    if (!row) {
+      // Replicate retries terminal webhooks on non-2xx, which covers the
+      // window before the worker has stored the prediction id
+      console.warn(`⚠️ Webhook for unknown prediction: ${prediction.id}`);
+      return res.status(404).json({ message: 'Prediction not found' });
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Replicate webhook error:', error);
+    res.status(500).json({ message: 'Error processing webhook' });
+  }
+});
+
+module.exports = router;
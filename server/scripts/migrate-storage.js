@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+/**
+ * Copy stored files from one storage backend to another.
+ *
+ * Walks every image (stored, processed, reference and mask files, whatever
+ * its review status) and every generation job (reference and mask files) in
+ * id order, and copies each file still on the source backend to the same key
+ * on the target. Copies are read back and compared by SHA-256 before the
+ * row's URLs are rewritten. Files the target already holds with the same
+ * checksum aren't copied again, so an interrupted run can simply be started
+ * again, even between backends that record files the same way (local and a
+ * private S3 bucket both record bare keys). The target is configured with the
+ * same environment variables the server uses (STORAGE_LOCAL_DIR, S3_*...).
+ *
+ * Usage:
+ *   node scripts/migrate-storage.js --to <local|s3> [options]
+ *
+ *   --to <backend>     Backend to copy to
+ *   --from <backend>   Backend to copy from (default: github)
+ *   --dry-run          List what would be copied without copying or updating
+ *   --limit <n>        Stop after n rows with files on the source
+ */
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { PrismaClient } = require('@prisma/client');
+const { BACKEND_NAMES, loadBackend, contentType } = require('../lib/storage/backends');
+
+const prisma = new PrismaClient();
+
+// Rows read per query
+const PAGE_SIZE = 100;
+
+// Rows holding stored files: the files of a row as [{ field, url }], and the
+// update recording their new URLs ({ field: url })
+const TABLES = [
+  {
+    name: 'Image',
+    model: 'avatarGenerated',
+    select: { id: true, storedUrl: true, processedUrl: true, referenceUrl: true, maskUrl: true },
+    files: (image) => ['storedUrl', 'processedUrl', 'referenceUrl', 'maskUrl']
+      .filter(field => image[field])
+      .map(field => ({ field, url: image[field] })),
+    data: (image, urls) => urls
+  },
+  {
+    name: 'Job',
+    model: 'generationJob',
+    select: { id: true, reference: true, edit: true },
+    files: (job) => [
+      ...(job.reference?.url ? [{ field: 'reference', url: job.reference.url }] : []),
+      ...(job.edit?.maskUrl ? [{ field: 'edit', url: job.edit.maskUrl }] : [])
+    ],
+    data: (job, urls) => ({
+      ...(urls.reference && { reference: { ...job.reference, url: urls.reference } }),
+      ...(urls.edit && { edit: { ...job.edit, maskUrl: urls.edit } })
+    })
+  }
+];
+
+const USAGE = `Usage: node scripts/migrate-storage.js --to <${BACKEND_NAMES.join('|')}> [--from <backend>] [--dry-run] [--limit <n>]`;
+
+const parseArgs = (argv) => {
+  const args = { from: 'github', dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--to' || argv[i] === '--from') {
+      args[argv[i].slice(2)] = argv[++i];
+    } else if (argv[i] === '--limit') {
+      args.limit = parseInt(argv[++i], 10);
+    } else if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else {
+      args.unknown = argv[i];
+    }
+  }
+  return args;
+};
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Whether the target already holds a file with the source's bytes
+ */
+const alreadyCopied = async (target, key, checksum) =>
+  (await target.exists(key)) && sha256(await target.get(key)) === checksum;
+
+/**
+ * Copy a file between backends and check the copy matches, unless the target
+ * already has it. Returns its URL on the target and whether it was copied.
+ */
+const copyFile = async (source, target, key) => {
+  const buffer = await source.get(key);
+  const checksum = sha256(buffer);
+
+  if (await alreadyCopied(target, key, checksum)) {
+    return { url: target.storedUrl(key), copied: false };
+  }
+
+  await target.put(key, buffer, {
+    contentType: contentType(key),
+    message: `Migrate ${key} from ${source.name}`
+  });
+
+  const copied = await target.get(key);
+  if (sha256(copied) !== checksum) {
+    throw new Error(`Checksum mismatch for ${key} after copying to ${target.name}`);
+  }
+
+  return { url: target.storedUrl(key), copied: true };
+};
+
+/**
+ * Copy the files of every row of a table still on the source, rewriting the
+ * row's URLs once its files are on the target
+ */
+const migrateTable = async (table, { source, target, args, totals, copiedUrls }) => {
+  let cursor;
+
+  while (args.limit === undefined || totals.rows < args.limit) {
+    const rows = await prisma[table.model].findMany({
+      select: table.select,
+      orderBy: { id: 'asc' },
+      take: PAGE_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    if (rows.length === 0) {
+      return;
+    }
+    cursor = rows[rows.length - 1].id;
+
+    for (const row of rows) {
+      const files = table.files(row);
+      const toCopy = files
+        .map(file => ({ ...file, key: source.keyFromUrl(file.url) }))
+        .filter(({ key }) => key);
+
+      // Already migrated, or never stored on the source (e.g. provider URLs)
+      totals.skipped += files.length - toCopy.length;
+      if (toCopy.length === 0) {
+        continue;
+      }
+
+      if (args.limit !== undefined && totals.rows >= args.limit) {
+        return;
+      }
+      totals.rows++;
+
+      try {
+        if (args.dryRun) {
+          for (const { field, key } of toCopy) {
+            const present = await target.exists(key);
+            console.log(`📋 ${table.name} ${row.id} ${field}: ${present ? 'already on the target' : 'would copy'} ${key}`);
+            totals[present ? 'present' : 'copied']++;
+          }
+          continue;
+        }
+
+        const urls = {};
+        for (const { field, key } of toCopy) {
+          if (!copiedUrls.has(key)) {
+            const { url, copied } = await copyFile(source, target, key);
+            copiedUrls.set(key, url);
+            totals[copied ? 'copied' : 'present']++;
+          }
+          urls[field] = copiedUrls.get(key);
+        }
+
+        // Backends recording bare keys give the same URL back
+        if (toCopy.some(({ field, url }) => urls[field] !== url)) {
+          await prisma[table.model].update({
+            where: { id: row.id },
+            data: table.data(row, urls)
+          });
+        }
+        console.log(`✅ ${table.name} ${row.id}: ${toCopy.map(({ key }) => key).join(', ')}`);
+      } catch (error) {
+        totals.failed++;
+        console.error(`❌ ${table.name} ${row.id} failed:`, error.message);
+      }
+    }
+  }
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.unknown || !args.to || (args.limit !== undefined && !(args.limit > 0))) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (args.to === args.from) {
+    console.error('--to and --from must be different backends');
+    process.exit(1);
+  }
+
+  const source = loadBackend(args.from);
+  const target = loadBackend(args.to);
+
+  console.log(`🚚 ${args.dryRun ? 'Dry run: ' : ''}migrating stored files from ${source.name} to ${target.name}`);
+
+  const totals = { rows: 0, copied: 0, present: 0, skipped: 0, failed: 0 };
+  // Remixes and their jobs share reference images, so each file is copied once per run
+  const copiedUrls = new Map();
+
+  for (const table of TABLES) {
+    await migrateTable(table, { source, target, args, totals, copiedUrls });
+  }
+
+  console.log(`📊 ${totals.rows} rows, ${totals.copied} files ${args.dryRun ? 'to copy' : 'copied'}, ${totals.present} already on ${target.name}, ${totals.skipped} files skipped, ${totals.failed} rows failed`);
+
+  if (!args.dryRun && totals.failed === 0) {
+    console.log(`👉 Set STORAGE_BACKEND=${target.name} and restart the server to store new images on ${target.name}`);
+  }
+
+  await prisma.$disconnect();
+  process.exit(totals.failed > 0 ? 1 : 0);
+};
+
+main().catch(async error => {
+  console.error('Migration failed:', error.message);
+  await prisma.$disconnect();
+  process.exit(1);
+});
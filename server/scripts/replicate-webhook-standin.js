@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for Replicate's webhook delivery.
+ *
+ * Signs a fixture prediction payload with REPLICATE_WEBHOOK_SECRET and posts it
+ * to the webhook receiver, so the completion flow can be exercised without
+ * Replicate reaching your machine.
+ *
+ * Usage:
+ *   node scripts/replicate-webhook-standin.js <predictionId> [fixture] [options]
+ *
+ *   fixture            started | succeeded | failed (default: succeeded)
+ *   --url <url>        Receiver URL (default: http://localhost:$PORT/api/webhooks/replicate)
+ *   --output <url>     Image URL to report as the prediction output
+ *   --bad-signature    Send an invalid signature to check rejection
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { signPayload } = require('../lib/replicateWebhooks');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures/replicate');
+
+const parseArgs = (argv) => {
+  const args = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--url' || argv[i] === '--output') {
+      args[argv[i].slice(2)] = argv[++i];
+    } else if (argv[i] === '--bad-signature') {
+      args.badSignature = true;
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const [predictionId, fixtureName = 'succeeded'] = args.positional;
+
+  if (!predictionId) {
+    console.error('Usage: node scripts/replicate-webhook-standin.js <predictionId> [started|succeeded|failed] [--url <url>] [--output <url>] [--bad-signature]');
+    process.exit(1);
+  }
+
+  const secret = process.env.REPLICATE_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('REPLICATE_WEBHOOK_SECRET must be set to sign fixture payloads');
+    process.exit(1);
+  }
+
+  const fixturePath = path.join(FIXTURES_DIR, `prediction-${fixtureName}.json`);
+  if (!fs.existsSync(fixturePath)) {
+    console.error(`Unknown fixture "${fixtureName}" (looked for ${fixturePath})`);
+    process.exit(1);
+  }
+
+  const payload = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  payload.id = predictionId;
+  if (args.output && payload.output) {
+    payload.output = [args.output];
+  }
+
+  const body = JSON.stringify(payload);
+  const id = `msg_${crypto.randomBytes(8).toString('hex')}`;
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = args.badSignature
+    ? crypto.randomBytes(32).toString('base64')
+    : signPayload({ id, timestamp, body, secret });
+
+  const url = args.url || `http://localhost:${process.env.PORT || 5000}/api/webhooks/replicate`;
+
+  console.log(`📨 Posting "${fixtureName}" fixture for prediction ${predictionId} to ${url}`);
+
+  const response = await axios.post(url, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      'webhook-id': id,
+      'webhook-timestamp': timestamp,
+      'webhook-signature': `v1,${signature}`
+    },
+    validateStatus: () => true
+  });
+
+  console.log(`↩️  ${response.status} ${JSON.stringify(response.data)}`);
+  process.exit(response.status >= 200 && response.status < 300 ? 0 : 1);
+};
+
+main().catch(error => {
+  console.error('Stand-in failed:', error.message);
+  process.exit(1);
+});
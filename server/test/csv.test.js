@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv } = require('../lib/csv');
+
+test('parses rows into objects keyed by lowercase header', () => {
+  assert.deepEqual(parseCsv('Prompt,Seed\na portrait,42\n'), [{ prompt: 'a portrait', seed: '42' }]);
+});
+
+test('handles quoted fields with commas, newlines and doubled quotes', () => {
+  const csv = 'prompt,negative\n"a portrait, smiling","say ""cheese""\nplease"\n';
+
+  assert.deepEqual(parseCsv(csv), [{ prompt: 'a portrait, smiling', negative: 'say "cheese"\nplease' }]);
+});
+
+test('omits empty cells and skips blank lines', () => {
+  assert.deepEqual(parseCsv('prompt,seed\r\n\r\na portrait, \r\n'), [{ prompt: 'a portrait' }]);
+});
+
+test('strips a byte order mark', () => {
+  assert.deepEqual(parseCsv('\uFEFFprompt\nhello'), [{ prompt: 'hello' }]);
+});
+
+test('returns nothing for empty input', () => {
+  assert.deepEqual(parseCsv(''), []);
+});
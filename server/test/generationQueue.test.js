@@ -0,0 +1,182 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.IMAGE_PROVIDER = 'fake';
+process.env.STORAGE_BACKEND = 'local';
+
+const { useMemoryPrisma } = require('./helpers/memoryPrisma');
+const prisma = useMemoryPrisma();
+const generationQueue = require('../lib/generationQueue');
+const generationEvents = require('../lib/generationEvents');
+const fakeProvider = require('../lib/providers/fake');
+
+/**
+ * A queued job for a test avatar with one prediction per prompt
+ */
+const createJob = async (prompts) => {
+  const avatar = await prisma.avatar.create({
+    data: { fullName: 'Jane Doe', replicateModelUrl: 'owner/jane-doe', triggerWord: 'JANEDOE' }
+  });
+  const job = await prisma.generationJob.create({
+    data: {
+      status: 'QUEUED',
+      baseModel: 'flux-dev-lora',
+      prompt: prompts[0],
+      avatarId: avatar.id,
+      userId: 1,
+      loras: [{ avatarId: avatar.id.toString(), scale: 1 }],
+      operation: 'GENERATE'
+    }
+  });
+
+  const predictions = [];
+  for (const [position, prompt] of prompts.entries()) {
+    predictions.push(await prisma.generationPrediction.create({
+      data: {
+        jobId: job.id,
+        position,
+        status: 'QUEUED',
+        input: { prompt, lora_scale: 0.9, num_inference_steps: 28 },
+        progress: 0
+      }
+    }));
+  }
+  return { ...job, predictions };
+};
+
+/**
+ * Submit a prediction to the fake provider and poll it until it finishes,
+ * without the queue's delays. Returns the terminal prediction.
+ */
+const runOnProvider = async (row) => {
+  const submitted = await fakeProvider.submit(row.input, { model: { replicateModel: 'black-forest-labs/flux-dev-lora' } });
+  await prisma.generationPrediction.update({
+    where: { id: row.id },
+    data: { predictionId: submitted.id, status: 'RUNNING' }
+  });
+
+  let prediction = submitted;
+  while (prediction.state === 'RUNNING') {
+    prediction = await fakeProvider.status(submitted.id);
+  }
+  return prediction;
+};
+
+const waitForDone = (jobId) => new Promise(resolve => {
+  const unsubscribe = generationEvents.subscribe(jobId, ({ type, data }) => {
+    if (type === 'done') {
+      unsubscribe();
+      resolve(data);
+    }
+  });
+});
+
+beforeEach(() => prisma.reset());
+
+test('runs queued predictions on the fake provider and saves their outputs for review', async () => {
+  const job = await createJob(['JANEDOE in a garden', 'JANEDOE at the beach']);
+  const done = waitForDone(job.id);
+
+  generationQueue.enqueue(job);
+
+  assert.deepEqual(await done, { status: 'SUCCEEDED', error: null });
+
+  const predictions = await prisma.generationPrediction.findMany({ where: { jobId: job.id } });
+  assert.deepEqual(predictions.map(prediction => prediction.status), ['SUCCEEDED', 'SUCCEEDED']);
+  assert.deepEqual(predictions.map(prediction => prediction.progress), [1, 1]);
+
+  const images = await prisma.avatarGenerated.findMany({ where: { jobId: job.id } });
+  assert.equal(images.length, 2);
+  for (const image of images) {
+    assert.equal(image.reviewStatus, 'PENDING');
+    assert.match(image.sourceUrl, /^data:image\/svg\+xml;base64,/);
+    // The seed the fake model logged, so the image can be reproduced
+    assert.equal(typeof image.seed, 'bigint');
+    assert.equal(image.parameters.seed, Number(image.seed));
+    assert.deepEqual(image.contributors, [{ avatarId: job.avatarId, scale: 0.9 }]);
+  }
+  assert.deepEqual(images.map(image => image.prompt).sort(), ['JANEDOE at the beach', 'JANEDOE in a garden']);
+});
+
+test('counts predictions resumed after a restart against the concurrency limit', async () => {
+  const job = await createJob(['JANEDOE in a garden', 'JANEDOE at the beach', 'JANEDOE in the snow']);
+  await prisma.generationJob.updateMany({ where: { id: job.id }, data: { status: 'RUNNING' } });
+  for (const row of job.predictions.slice(0, 2)) {
+    const submitted = await fakeProvider.submit(row.input, { model: { replicateModel: 'black-forest-labs/flux-dev-lora' } });
+    await prisma.generationPrediction.update({
+      where: { id: row.id },
+      data: { predictionId: submitted.id, status: 'RUNNING', providerStatus: submitted.status }
+    });
+  }
+
+  await generationQueue.resume();
+
+  assert.equal(generationQueue.active, generationQueue.maxConcurrent);
+  assert.deepEqual(generationQueue.pending, [job.predictions[2].id]);
+
+  await generationQueue.cancelJob(job.id);
+});
+
+test('fails the job with the provider error when its predictions fail', async () => {
+  const job = await createJob(['JANEDOE [fail]']);
+  const prediction = await runOnProvider(job.predictions[0]);
+  const done = waitForDone(job.id);
+
+  await generationQueue.handlePredictionUpdate(job.predictions[0].id, prediction);
+
+  assert.deepEqual(await done, { status: 'FAILED', error: 'Fake provider failure requested by prompt' });
+  assert.equal((await prisma.avatarGenerated.findMany({ where: { jobId: job.id } })).length, 0);
+});
+
+test('saves outputs once when a webhook and a poll both finish a prediction', async () => {
+  const job = await createJob(['JANEDOE in a garden']);
+  const prediction = await runOnProvider(job.predictions[0]);
+
+  await Promise.all([
+    generationQueue.handlePredictionUpdate(job.predictions[0].id, prediction),
+    generationQueue.handleWebhook(prediction)
+  ]);
+
+  assert.equal((await prisma.avatarGenerated.findMany({ where: { jobId: job.id } })).length, 1);
+  assert.equal((await prisma.generationJob.findUnique({ where: { id: job.id } })).status, 'SUCCEEDED');
+});
+
+test('leaves the prediction running when its outputs fail to save', async () => {
+  const job = await createJob(['JANEDOE in a garden']);
+  const prediction = await runOnProvider(job.predictions[0]);
+
+  const create = prisma.avatarGenerated.create;
+  prisma.avatarGenerated.create = async () => { throw new Error('Connection lost'); };
+  try {
+    await assert.rejects(generationQueue.handlePredictionUpdate(job.predictions[0].id, prediction), /Connection lost/);
+  } finally {
+    prisma.avatarGenerated.create = create;
+  }
+
+  assert.equal((await prisma.generationPrediction.findUnique({ where: { id: job.predictions[0].id } })).status, 'RUNNING');
+
+  // A retried delivery finishes it
+  await generationQueue.handlePredictionUpdate(job.predictions[0].id, prediction);
+  assert.equal((await prisma.generationPrediction.findUnique({ where: { id: job.predictions[0].id } })).status, 'SUCCEEDED');
+  assert.equal((await prisma.avatarGenerated.findMany({ where: { jobId: job.id } })).length, 1);
+});
+
+test('ignores webhooks for predictions it did not submit', async () => {
+  assert.equal(await generationQueue.handleWebhook({ id: 'someone-else', state: 'SUCCEEDED', output: [] }), null);
+});
+
+test('cancels a job, discarding its outputs pending review', async () => {
+  const job = await createJob(['JANEDOE in a garden', 'JANEDOE at the beach']);
+  await generationQueue.handlePredictionUpdate(job.predictions[0].id, await runOnProvider(job.predictions[0]));
+  await prisma.generationJob.updateMany({ where: { id: job.id }, data: { status: 'RUNNING' } });
+
+  assert.equal(await generationQueue.cancelJob(job.id), true);
+
+  const predictions = await prisma.generationPrediction.findMany({ where: { jobId: job.id } });
+  assert.deepEqual(predictions.map(prediction => prediction.status), ['SUCCEEDED', 'CANCELED']);
+  assert.equal((await prisma.avatarGenerated.findMany({ where: { jobId: job.id } })).length, 0);
+  assert.equal((await prisma.generationJob.findUnique({ where: { id: job.id } })).status, 'CANCELED');
+
+  // Finished jobs can't be canceled again
+  assert.equal(await generationQueue.cancelJob(job.id), false);
+});
@@ -0,0 +1,143 @@
+/**
+ * In-memory stand-in for the Prisma client, covering the queries the
+ * generation queue makes, so it can be tested without a database.
+ * Installed in place of lib/database.js; load it before the code under test.
+ */
+const MODELS = ['avatar', 'generationJob', 'generationPrediction', 'avatarGenerated'];
+
+// Relations `include` can load: field -> [model, foreign key]
+const RELATIONS = {
+  job: ['generationJob', 'jobId'],
+  avatar: ['avatar', 'avatarId']
+};
+
+const isCondition = (value) => value !== null && typeof value === 'object' && !(value instanceof Date);
+
+class MemoryPrisma {
+  constructor() {
+    this.tables = Object.fromEntries(MODELS.map(model => [model, []]));
+    this.nextId = 1n;
+    MODELS.forEach(model => { this[model] = this.delegate(model); });
+  }
+
+  reset() {
+    MODELS.forEach(model => { this.tables[model] = []; });
+  }
+
+  matches(row, where = {}) {
+    return Object.entries(where).every(([field, condition]) => {
+      if (RELATIONS[field]) {
+        const [model, foreignKey] = RELATIONS[field];
+        const related = this.tables[model].find(candidate => candidate.id === row[foreignKey]);
+        return Boolean(related) && this.matches(related, condition);
+      }
+      if (!isCondition(condition)) {
+        return row[field] === condition;
+      }
+      if (condition.in && !condition.in.includes(row[field])) {
+        return false;
+      }
+      if (condition.notIn && condition.notIn.includes(row[field])) {
+        return false;
+      }
+      return !('not' in condition) || row[field] !== condition.not;
+    });
+  }
+
+  shape(row, { include, select } = {}) {
+    if (select) {
+      return Object.fromEntries(Object.keys(select).map(field => [field, this.related(row, field) ?? row[field]]));
+    }
+
+    const shaped = { ...row };
+    for (const field of Object.keys(include || {})) {
+      shaped[field] = this.related(row, field);
+    }
+    return shaped;
+  }
+
+  related(row, field) {
+    if (field === 'contributors') {
+      return row.contributors || [];
+    }
+    if (!RELATIONS[field]) {
+      return undefined;
+    }
+    const [model, foreignKey] = RELATIONS[field];
+    return this.tables[model].find(candidate => candidate.id === row[foreignKey]) || null;
+  }
+
+  // Nested writes are only used for contributors, kept on the row itself
+  assign(row, data) {
+    for (const [field, value] of Object.entries(data)) {
+      if (value === undefined) {
+        continue;
+      }
+      row[field] = field === 'contributors' ? value.create : value;
+    }
+    return row;
+  }
+
+  delegate(model) {
+    const rows = () => this.tables[model];
+    const find = (where) => rows().find(row => this.matches(row, where));
+
+    return {
+      findUnique: async (args) => (find(args.where) ? this.shape(find(args.where), args) : null),
+      findFirst: async (args) => (find(args.where) ? this.shape(find(args.where), args) : null),
+      findMany: async (args = {}) => rows()
+        .filter(row => this.matches(row, args.where))
+        .sort((a, b) => (a.id < b.id ? -1 : 1))
+        .map(row => this.shape(row, args)),
+      create: async (args) => {
+        const row = this.assign({ id: this.nextId++, createdAt: new Date() }, args.data);
+        rows().push(row);
+        return this.shape(row, args);
+      },
+      update: async (args) => {
+        const row = find(args.where);
+        if (!row) {
+          throw new Error(`No ${model} matches the update`);
+        }
+        return this.shape(this.assign(row, args.data), args);
+      },
+      updateMany: async (args) => {
+        const matched = rows().filter(row => this.matches(row, args.where));
+        matched.forEach(row => this.assign(row, args.data));
+        return { count: matched.length };
+      },
+      deleteMany: async (args) => {
+        const before = rows().length;
+        this.tables[model] = rows().filter(row => !this.matches(row, args.where));
+        return { count: before - this.tables[model].length };
+      }
+    };
+  }
+
+  /**
+   * Interactive transaction: every write is undone when the callback throws
+   */
+  async $transaction(callback) {
+    const snapshot = structuredClone(this.tables);
+    try {
+      return await callback(this);
+    } catch (error) {
+      this.tables = snapshot;
+      throw error;
+    }
+  }
+
+  async $disconnect() {}
+}
+
+/**
+ * Replace lib/database.js with an in-memory client and return it
+ */
+const useMemoryPrisma = () => {
+  const prisma = new MemoryPrisma();
+  const databasePath = require.resolve('../../lib/database');
+  require.cache[databasePath] = { id: databasePath, filename: databasePath, loaded: true, exports: prisma };
+  return prisma;
+};
+
+module.exports = { useMemoryPrisma };
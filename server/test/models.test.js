@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MODELS, unrunnableReason } = require('../lib/models');
+const replicateProvider = require('../lib/providers/replicate');
+
+test('every registry model is official or pinned to a version, except the configurable blend model', () => {
+  const unpinned = Object.values(MODELS).filter(model => !model.official && !model.version);
+
+  assert.deepEqual(unpinned.map(model => model.id), process.env.REPLICATE_MULTI_LORA_VERSION ? [] : ['flux-dev-multi-lora']);
+});
+
+test('only official models run without a version', () => {
+  assert.equal(unrunnableReason({ label: 'Official', replicateModel: 'owner/official', official: true, version: null }), null);
+  assert.equal(unrunnableReason({ label: 'Pinned', replicateModel: 'someone/pinned', version: 'abc123' }), null);
+  assert.match(
+    unrunnableReason({ label: 'Community', replicateModel: 'someone/community', version: null }),
+    /someone\/community\) is a community model/
+  );
+});
+
+test('the Replicate provider refuses community models without a version before calling the API', async () => {
+  const create = replicateProvider.client.predictions.create;
+  let called = false;
+  replicateProvider.client.predictions.create = async () => { called = true; };
+
+  try {
+    const model = { ...MODELS['flux-dev-multi-lora'], version: null };
+    await assert.rejects(replicateProvider.submit({ prompt: 'a portrait' }, { model }), /needs a pinned Replicate version/);
+    assert.equal(called, false);
+  } finally {
+    replicateProvider.client.predictions.create = create;
+  }
+});
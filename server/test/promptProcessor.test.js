@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { processPrompt, renderPrompt } = require('../lib/promptProcessor');
+
+test('splits the negative prompt off at the first --no', () => {
+  const processed = processPrompt('a portrait in a garden --no blur, text --no watermark');
+
+  assert.equal(processed.prompt, 'a portrait in a garden');
+  assert.equal(processed.negativePrompt, 'blur, text, watermark');
+});
+
+test('has no negative prompt without --no', () => {
+  assert.equal(processPrompt('a portrait').negativePrompt, null);
+});
+
+test('normalizes weighted terms and drops weights of 1', () => {
+  const processed = processPrompt('a portrait, ( soft light :1.30), (red hat:1)');
+
+  assert.equal(processed.prompt, 'a portrait, (soft light:1.3), red hat');
+  assert.deepEqual(processed.weights, [
+    { term: 'soft light', weight: 1.3 },
+    { term: 'red hat', weight: 1 }
+  ]);
+});
+
+test('rejects weights above 2', () => {
+  assert.deepEqual(processPrompt('a portrait, (neon:2.5)'), { error: 'Weight of "neon" must be at most 2' });
+});
+
+test('expands snippets, including nested ones, by case-insensitive name', () => {
+  const snippets = { studio: 'studio lighting, $lens', lens: '85mm lens' };
+
+  assert.equal(processPrompt('a portrait, $Studio', snippets).prompt, 'a portrait, studio lighting, 85mm lens');
+});
+
+test('expands snippets in the negative prompt', () => {
+  const processed = processPrompt('a portrait --no $bad', { bad: 'blur, jpeg artifacts' });
+
+  assert.equal(processed.negativePrompt, 'blur, jpeg artifacts');
+});
+
+test('keeps unknown $words as typed and warns about them', () => {
+  const processed = processPrompt('a sign saying cost $money, $5 coffee, $studio', { studio: 'studio lighting' });
+
+  assert.equal(processed.prompt, 'a sign saying cost $money, $5 coffee, studio lighting');
+  assert.deepEqual(processed.warnings, ['No snippets named $money; kept as typed']);
+});
+
+test('has no warnings when every $word is a snippet', () => {
+  assert.deepEqual(processPrompt('a portrait, $studio', { studio: 'studio lighting' }).warnings, []);
+});
+
+test('rejects snippets that reference themselves', () => {
+  const snippets = { a: 'one $b', b: 'two $a' };
+
+  assert.match(processPrompt('a portrait $a', snippets).error, /^Snippets reference themselves/);
+});
+
+test('rejects prompts shorter than 3 characters before --no', () => {
+  assert.ok(processPrompt('ab --no blur').error);
+});
+
+test('renders weights and negative prompts only for models that take them', () => {
+  const processed = processPrompt('a portrait, (soft light:1.3) --no blur');
+
+  assert.deepEqual(renderPrompt(processed, { promptWeights: true, negativePrompt: true }), {
+    prompt: 'a portrait, (soft light:1.3)',
+    negativePrompt: 'blur'
+  });
+  assert.deepEqual(renderPrompt(processed, {}), {
+    prompt: 'a portrait, soft light',
+    negativePrompt: null
+  });
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { signPayload, verifyWebhookSignature } = require('../lib/replicateWebhooks');
+
+const secret = `whsec_${Buffer.from('test signing key').toString('base64')}`;
+const body = JSON.stringify({ id: 'prediction-1', status: 'succeeded' });
+
+const signedHeaders = (overrides = {}) => {
+  const headers = {
+    'webhook-id': 'msg_1',
+    'webhook-timestamp': String(Math.floor(Date.now() / 1000)),
+    ...overrides
+  };
+  const signature = signPayload({ id: headers['webhook-id'], timestamp: headers['webhook-timestamp'], body, secret });
+  return { 'webhook-signature': `v1,${signature}`, ...headers, ...overrides };
+};
+
+test('accepts a correctly signed payload', () => {
+  assert.equal(verifyWebhookSignature(signedHeaders(), Buffer.from(body), secret), true);
+});
+
+test('accepts any matching signature in the header', () => {
+  const headers = signedHeaders();
+  headers['webhook-signature'] = `v1,bm90IGl0 ${headers['webhook-signature']}`;
+
+  assert.equal(verifyWebhookSignature(headers, Buffer.from(body), secret), true);
+});
+
+test('rejects a tampered body', () => {
+  assert.equal(verifyWebhookSignature(signedHeaders(), Buffer.from(`${body} `), secret), false);
+});
+
+test('rejects another secret', () => {
+  const otherSecret = `whsec_${Buffer.from('another key').toString('base64')}`;
+
+  assert.equal(verifyWebhookSignature(signedHeaders(), Buffer.from(body), otherSecret), false);
+});
+
+test('rejects old timestamps', () => {
+  const stale = String(Math.floor(Date.now() / 1000) - 10 * 60);
+
+  assert.equal(verifyWebhookSignature(signedHeaders({ 'webhook-timestamp': stale }), Buffer.from(body), secret), false);
+});
+
+test('rejects missing headers or secret', () => {
+  const { 'webhook-signature': signature, ...unsigned } = signedHeaders();
+
+  assert.equal(verifyWebhookSignature(unsigned, Buffer.from(body), secret), false);
+  assert.equal(verifyWebhookSignature({ ...unsigned, 'webhook-signature': signature }, Buffer.from(body), ''), false);
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyTriggerWords, containsTriggerWord } = require('../lib/triggerWords');
+
+const jane = { triggerWord: 'JANEDOE', triggerPlacement: 'PREPEND' };
+const john = { triggerWord: 'JOHNDOE', triggerPlacement: 'PREPEND' };
+
+test('prepends the trigger word by default', () => {
+  assert.deepEqual(applyTriggerWords('a portrait', [{ triggerWord: 'JANEDOE' }]), { prompt: 'JANEDOE a portrait' });
+});
+
+test('appends the trigger word with APPEND', () => {
+  assert.deepEqual(
+    applyTriggerWords('a portrait', [{ ...jane, triggerPlacement: 'APPEND' }]),
+    { prompt: 'a portrait, JANEDOE' }
+  );
+});
+
+test('leaves prompts that already contain the trigger word alone', () => {
+  assert.deepEqual(applyTriggerWords('janedoe in a garden', [jane]), { prompt: 'janedoe in a garden' });
+});
+
+test('only counts the trigger word as a whole word', () => {
+  assert.equal(containsTriggerWord('JANEDOES garden', 'JANEDOE'), false);
+  assert.equal(containsTriggerWord('photo of JANEDOE, smiling', 'JANEDOE'), true);
+});
+
+test('only places the trigger word at tokens with TOKEN', () => {
+  const lora = { ...jane, triggerPlacement: 'TOKEN' };
+
+  assert.deepEqual(applyTriggerWords('a portrait', [lora]), { prompt: 'a portrait' });
+  assert.deepEqual(applyTriggerWords('@avatar in a garden', [lora]), { prompt: 'JANEDOE in a garden' });
+});
+
+test('rejects prompts without the trigger word with EXPLICIT', () => {
+  assert.deepEqual(
+    applyTriggerWords('a portrait', [{ ...jane, triggerPlacement: 'EXPLICIT' }]),
+    { error: 'The prompt must include the trigger word "JANEDOE" or @avatar' }
+  );
+});
+
+test('replaces numbered tokens with the blended LoRAs in order', () => {
+  assert.deepEqual(
+    applyTriggerWords('@avatar1 and @avatar2 at the beach.', [jane, john]),
+    { prompt: 'JANEDOE and JOHNDOE at the beach.' }
+  );
+});
+
+test('ignores tokens inside emails and words', () => {
+  assert.deepEqual(
+    applyTriggerWords('JANEDOE mailing me@avatar.com about @avatars', [jane]),
+    { prompt: 'JANEDOE mailing me@avatar.com about @avatars' }
+  );
+});
+
+test('rejects tokens without a matching avatar', () => {
+  assert.match(applyTriggerWords('@avatar0 portrait', [jane]).error, /^@avatar0 does not match an avatar/);
+  assert.match(applyTriggerWords('@avatar3 portrait', [jane, john]).error, /^@avatar3 does not match an avatar/);
+});
@@ -0,0 +1,184 @@
+import React, { useRef, useState } from 'react';
+import { imageAPI } from '../utils/api';
+
+/**
+ * Paint a mask over an image and queue an inpainting edit of the painted
+ * region. The mask is drawn at the image's natural size: white is repainted,
+ * black is kept.
+ */
+const InpaintEditor = ({ image, onQueued, onCancel }) => {
+  const canvasRef = useRef(null);
+  const drawing = useRef(false);
+  const lastPoint = useRef(null);
+  const [size, setSize] = useState(null);
+  const [brushSize, setBrushSize] = useState(40);
+  const [hasMask, setHasMask] = useState(false);
+  const [prompt, setPrompt] = useState(image.rawPrompt || image.prompt);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  // Pointer position in canvas pixels; the brush scales with the image
+  const canvasPoint = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const scale = canvas.width / rect.width;
+    return {
+      x: (e.clientX - rect.left) * scale,
+      y: (e.clientY - rect.top) * scale,
+      width: brushSize * scale
+    };
+  };
+
+  const paint = (point) => {
+    const context = canvasRef.current.getContext('2d');
+    const from = lastPoint.current || point;
+    context.strokeStyle = '#fff';
+    context.lineWidth = point.width;
+    context.lineCap = 'round';
+    context.beginPath();
+    context.moveTo(from.x, from.y);
+    context.lineTo(point.x, point.y);
+    context.stroke();
+    lastPoint.current = point;
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    drawing.current = true;
+    lastPoint.current = null;
+    paint(canvasPoint(e));
+    setHasMask(true);
+  };
+
+  const handlePointerMove = (e) => {
+    if (drawing.current) {
+      paint(canvasPoint(e));
+    }
+  };
+
+  const stopDrawing = () => {
+    drawing.current = false;
+    lastPoint.current = null;
+  };
+
+  const handleClear = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    setHasMask(false);
+  };
+
+  // White strokes over a black background, as a PNG data URL
+  const exportMask = () => {
+    const mask = document.createElement('canvas');
+    mask.width = canvasRef.current.width;
+    mask.height = canvasRef.current.height;
+    const context = mask.getContext('2d');
+    context.fillStyle = '#000';
+    context.fillRect(0, 0, mask.width, mask.height);
+    context.drawImage(canvasRef.current, 0, 0);
+    return mask.toDataURL('image/png');
+  };
+
+  const handleSubmit = async () => {
+    if (!hasMask) {
+      setError('Paint over the region to repaint first');
+      return;
+    }
+
+    if (prompt.trim().length < 3) {
+      setError('Please enter a prompt');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError('');
+      const response = await imageAPI.inpaint(image.id, { prompt: prompt.trim(), mask: exportMask() });
+      onQueued(response.data.job);
+    } catch (error) {
+      console.error('Failed to queue inpainting:', error);
+      setError(error.response?.data?.message || 'Failed to queue inpainting');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="relative inline-block max-w-full">
+        <img
+          src={image.imageUrl}
+          alt={image.prompt}
+          onLoad={(e) => setSize({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+          className="block max-w-full max-h-[60vh] select-none"
+          draggable={false}
+        />
+        {size && (
+          <canvas
+            ref={canvasRef}
+            width={size.width}
+            height={size.height}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={stopDrawing}
+            onPointerLeave={stopDrawing}
+            className="absolute inset-0 w-full h-full opacity-50 cursor-crosshair touch-none"
+          />
+        )}
+      </div>
+
+      <div className="flex items-center gap-4">
+        <label className="flex-1 flex items-center gap-2 text-sm text-gray-600">
+          <span className="w-24">Brush: {brushSize}px</span>
+          <input
+            type="range"
+            min="5"
+            max="120"
+            step="5"
+            value={brushSize}
+            onChange={(e) => setBrushSize(Number(e.target.value))}
+            className="flex-1"
+          />
+        </label>
+        <button
+          type="button"
+          onClick={handleClear}
+          className="text-sm text-blue-600 hover:text-blue-700"
+        >
+          Clear mask
+        </button>
+      </div>
+
+      <textarea
+        value={prompt}
+        onChange={(e) => setPrompt(e.target.value)}
+        placeholder="Describe what the painted region should show..."
+        rows="2"
+        className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+
+      {error && (
+        <p className="text-sm text-red-600">{error}</p>
+      )}
+
+      <div className="flex space-x-3">
+        <button
+          type="button"
+          onClick={handleSubmit}
+          disabled={submitting}
+          className="bg-purple-600 hover:bg-purple-700 disabled:bg-purple-300 text-white px-4 py-2 rounded-lg transition-colors"
+        >
+          {submitting ? 'Queueing...' : 'Inpaint'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-lg transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default InpaintEditor;
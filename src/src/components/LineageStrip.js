@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import { imageAPI } from '../utils/api';
+
+const OPERATION_LABELS = {
+  GENERATE: 'Original',
+  REMIX: 'Remix',
+  IMAGE_TO_IMAGE: 'Image to image',
+  INPAINT: 'Inpaint'
+};
+
+/**
+ * Depth-first order of a lineage, so every image follows its parent
+ */
+const treeOrder = (images, rootId) => {
+  const children = {};
+  images.forEach(image => {
+    if (image.parentId) {
+      (children[image.parentId] = children[image.parentId] || []).push(image);
+    }
+  });
+
+  const ordered = [];
+  const visit = (image, depth) => {
+    ordered.push({ image, depth });
+    (children[image.id] || []).forEach(child => visit(child, depth + 1));
+  };
+  const root = images.find(image => image.id === rootId);
+  if (root) visit(root, 0);
+  return ordered;
+};
+
+/**
+ * Thumbnails of every version in an image's lineage. The current image is
+ * highlighted and its ancestors are outlined; clicking a version selects it.
+ */
+const LineageStrip = ({ image, onSelect }) => {
+  const [lineage, setLineage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchLineage = async () => {
+      try {
+        const response = await imageAPI.getLineage(image.id);
+        if (!cancelled) setLineage(response.data);
+      } catch (error) {
+        console.error('Failed to fetch lineage:', error);
+        if (!cancelled) setLineage(null);
+      }
+    };
+
+    fetchLineage();
+    return () => { cancelled = true; };
+  }, [image.id]);
+
+  if (!lineage || lineage.images.length < 2) {
+    return null;
+  }
+
+  return (
+    <div className="mb-3">
+      <p className="text-sm font-medium text-gray-700 mb-2">
+        Versions
+        {image.parentId && (
+          <span className="font-normal text-gray-500"> · this image is a {OPERATION_LABELS[image.operation].toLowerCase()} of an earlier one</span>
+        )}
+      </p>
+      <div className="flex gap-2 overflow-x-auto pb-1">
+        {treeOrder(lineage.images, lineage.rootId).map(({ image: version, depth }) => {
+          const current = version.id === image.id;
+          const ancestor = !current && lineage.path.includes(version.id);
+
+          return (
+            <button
+              key={version.id}
+              type="button"
+              onClick={() => !current && onSelect(version)}
+              title={`${OPERATION_LABELS[version.operation]} · ${version.prompt}`}
+              className={`flex-shrink-0 w-20 text-left rounded p-1 ${current ? 'bg-blue-100 ring-2 ring-blue-500' : ancestor ? 'ring-1 ring-blue-300 hover:bg-gray-100' : 'hover:bg-gray-100'}`}
+            >
+              <img
+                src={version.imageUrl}
+                alt={version.prompt}
+                className={`w-full h-16 object-cover rounded ${version.reviewStatus === 'REJECTED' ? 'opacity-40' : ''}`}
+              />
+              <span className="block text-xs text-gray-600 truncate">
+                {depth > 0 && `${'›'.repeat(depth)} `}{OPERATION_LABELS[version.operation]}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default LineageStrip;
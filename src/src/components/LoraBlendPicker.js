@@ -0,0 +1,112 @@
+import React from 'react';
+
+const DEFAULT_BLEND_SCALE = 0.8;
+
+/**
+ * Blend extra LoRAs into a generation: other avatars trained for the same
+ * base model, or a style LoRA given by its weights
+ */
+const LoraBlendPicker = ({ avatars, avatar, model, blend, onChange }) => {
+  // Avatars that can join the blend
+  const candidates = avatars.filter(candidate => (
+    candidate.id !== avatar.id && candidate.baseModel === avatar.baseModel
+  ));
+  const canAdd = blend.length + 1 < model.maxLoras;
+
+  const updateEntry = (index, changes) => {
+    onChange(blend.map((entry, entryIndex) => entryIndex === index ? { ...entry, ...changes } : entry));
+  };
+
+  const addAvatar = () => {
+    const used = blend.map(entry => entry.avatarId);
+    const next = candidates.find(candidate => !used.includes(candidate.id));
+    onChange([...blend, { avatarId: next?.id || '', scale: DEFAULT_BLEND_SCALE }]);
+  };
+
+  const addStyle = () => {
+    onChange([...blend, { weights: '', triggerWord: '', scale: DEFAULT_BLEND_SCALE }]);
+  };
+
+  return (
+    <div className="mt-3 p-3 bg-gray-50 rounded-lg space-y-3">
+      <p className="text-sm font-medium text-gray-700">Blend LoRAs</p>
+      {blend.length > 0 && (
+        <p className="text-xs text-gray-500">
+          {avatar.fullName} runs at the LoRA Scale below; every trigger word is added to the prompt.
+        </p>
+      )}
+
+      {blend.map((entry, index) => (
+        <div key={index} className="space-y-2">
+          <div className="flex gap-2">
+            {entry.weights !== undefined ? (
+              <>
+                <input
+                  type="text"
+                  value={entry.weights}
+                  onChange={(e) => updateEntry(index, { weights: e.target.value })}
+                  placeholder="Style LoRA, e.g. username/repository-name"
+                  className="flex-1 min-w-0 border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <input
+                  type="text"
+                  value={entry.triggerWord}
+                  onChange={(e) => updateEntry(index, { triggerWord: e.target.value })}
+                  placeholder="Trigger word"
+                  className="w-32 border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </>
+            ) : (
+              <select
+                value={entry.avatarId}
+                onChange={(e) => updateEntry(index, { avatarId: e.target.value })}
+                className="flex-1 min-w-0 border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Choose an avatar...</option>
+                {candidates.map(candidate => (
+                  <option key={candidate.id} value={candidate.id}>
+                    {candidate.fullName} ({candidate.triggerWord})
+                  </option>
+                ))}
+              </select>
+            )}
+            <button
+              type="button"
+              onClick={() => onChange(blend.filter((_, entryIndex) => entryIndex !== index))}
+              className="text-sm text-red-600 hover:text-red-700"
+            >
+              Remove
+            </button>
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            <span className="w-20">Scale: {entry.scale}</span>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.1"
+              value={entry.scale}
+              onChange={(e) => updateEntry(index, { scale: Number(e.target.value) })}
+              className="flex-1"
+            />
+          </label>
+        </div>
+      ))}
+
+      {canAdd && (
+        <div className="flex gap-4">
+          {candidates.length > 0 && (
+            <button type="button" onClick={addAvatar} className="text-sm text-blue-600 hover:text-blue-700">
+              + Add avatar
+            </button>
+          )}
+          <button type="button" onClick={addStyle} className="text-sm text-blue-600 hover:text-blue-700">
+            + Add style LoRA
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LoraBlendPicker;
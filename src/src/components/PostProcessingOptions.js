@@ -0,0 +1,69 @@
+import React from 'react';
+
+export const DEFAULT_POST_PROCESSING = {
+  upscale: '',
+  faceRestore: false,
+  crop: '',
+  format: ''
+};
+
+const CROP_RATIOS = ['1:1', '16:9', '9:16', '4:3', '3:4', '3:2', '2:3'];
+const FORMATS = { jpg: 'JPEG', png: 'PNG', webp: 'WebP' };
+
+/**
+ * The `postProcess` body for like/download requests, or undefined when no
+ * step is selected
+ */
+export const postProcessRequest = (options) => {
+  const request = {
+    ...(options.upscale && { upscale: Number(options.upscale) }),
+    ...(options.faceRestore && { faceRestore: true }),
+    ...(options.crop && { crop: options.crop }),
+    ...(options.format && { format: options.format })
+  };
+  return Object.keys(request).length > 0 ? request : undefined;
+};
+
+const selectClassName = 'border border-gray-300 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * Post-processing applied when images are approved or downloaded; the
+ * processed variant is stored next to the original
+ */
+const PostProcessingOptions = ({ value, onChange }) => {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 mb-4 p-3 bg-gray-50 rounded-lg text-sm text-gray-700">
+      <span className="font-medium">On approval:</span>
+      <select value={value.upscale} onChange={(e) => update({ upscale: e.target.value })} className={selectClassName}>
+        <option value="">No upscale</option>
+        <option value="2">Upscale 2x</option>
+        <option value="4">Upscale 4x</option>
+      </select>
+      <select value={value.crop} onChange={(e) => update({ crop: e.target.value })} className={selectClassName}>
+        <option value="">No crop</option>
+        {CROP_RATIOS.map(ratio => (
+          <option key={ratio} value={ratio}>Crop {ratio}</option>
+        ))}
+      </select>
+      <select value={value.format} onChange={(e) => update({ format: e.target.value })} className={selectClassName}>
+        <option value="">Keep format</option>
+        {Object.entries(FORMATS).map(([format, label]) => (
+          <option key={format} value={format}>{label}</option>
+        ))}
+      </select>
+      <label className="flex items-center gap-1">
+        <input
+          type="checkbox"
+          checked={value.faceRestore}
+          onChange={(e) => update({ faceRestore: e.target.checked })}
+          className="rounded border-gray-300 text-blue-600"
+        />
+        Restore faces
+      </label>
+    </div>
+  );
+};
+
+export default PostProcessingOptions;
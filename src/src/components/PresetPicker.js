@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { presetAPI, avatarAPI } from '../utils/api';
+
+// Form fields a preset stores
+export const PRESET_SETTINGS = ['lora_scale', 'num_outputs', 'aspect_ratio', 'output_format', 'guidance_scale', 'num_inference_steps', 'go_fast', 'prompt_strength'];
+
+const NUMERIC_SETTINGS = ['lora_scale', 'num_outputs', 'guidance_scale', 'num_inference_steps', 'prompt_strength'];
+
+// Form inputs hand back strings; presets store typed values.
+// Settings the avatar's model doesn't take are left unset.
+const pickPresetSettings = (formData) => Object.fromEntries(
+  PRESET_SETTINGS
+    .filter(key => formData[key] !== undefined)
+    .map(key => [key, NUMERIC_SETTINGS.includes(key) ? Number(formData[key]) : formData[key]])
+);
+
+/**
+ * Apply, save and delete generation presets, and pick the selected avatar's default
+ */
+const PresetPicker = ({ presets, onPresetsChange, formData, onApply, avatar, onAvatarChange }) => {
+  const [selectedId, setSelectedId] = useState('');
+  const [error, setError] = useState('');
+
+  const selectedPreset = presets.find(preset => preset.id === selectedId);
+  const isAvatarDefault = Boolean(avatar && selectedId && avatar.defaultPresetId === selectedId);
+
+  const handleSelect = (e) => {
+    const preset = presets.find(candidate => candidate.id === e.target.value);
+    setSelectedId(e.target.value);
+    setError('');
+    if (preset) {
+      onApply(preset.settings);
+    }
+  };
+
+  const handleSave = async () => {
+    const name = window.prompt('Preset name', selectedPreset?.name || '');
+    if (!name) return;
+
+    try {
+      setError('');
+      const settings = pickPresetSettings(formData);
+      const existing = presets.find(preset => preset.name === name);
+      const response = existing
+        ? await presetAPI.update(existing.id, { name, settings })
+        : await presetAPI.create({ name, settings });
+      const saved = response.data.preset;
+
+      onPresetsChange([...presets.filter(preset => preset.id !== saved.id), saved]
+        .sort((a, b) => a.name.localeCompare(b.name)));
+      setSelectedId(saved.id);
+    } catch (error) {
+      console.error('Failed to save preset:', error);
+      setError(error.response?.data?.message || 'Failed to save preset');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete preset "${selectedPreset.name}"?`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      await presetAPI.delete(selectedId);
+      onPresetsChange(presets.filter(preset => preset.id !== selectedId));
+      if (avatar?.defaultPresetId === selectedId) {
+        onAvatarChange({ ...avatar, defaultPresetId: null, defaultPreset: null });
+      }
+      setSelectedId('');
+    } catch (error) {
+      console.error('Failed to delete preset:', error);
+      setError('Failed to delete preset');
+    }
+  };
+
+  const handleToggleDefault = async () => {
+    try {
+      setError('');
+      const response = await avatarAPI.setDefaultPreset(avatar.id, isAvatarDefault ? null : selectedId);
+      onAvatarChange(response.data.avatar);
+    } catch (error) {
+      console.error('Failed to update default preset:', error);
+      setError(error.response?.data?.message || 'Failed to update default preset');
+    }
+  };
+
+  return (
+    <div className="mb-4 space-y-2">
+      <div className="flex gap-2">
+        <select
+          value={selectedId}
+          onChange={handleSelect}
+          className="flex-1 min-w-0 border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">{avatar?.defaultPreset ? `Avatar default: ${avatar.defaultPreset.name}` : 'Apply a preset...'}</option>
+          {presets.map(preset => (
+            <option key={preset.id} value={preset.id}>{preset.name}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={handleSave}
+          className="text-sm text-blue-600 hover:text-blue-700"
+          title="Save the current settings as a preset"
+        >
+          Save
+        </button>
+      </div>
+
+      {selectedPreset && (
+        <div className="flex justify-between">
+          {avatar && (
+            <button
+              type="button"
+              onClick={handleToggleDefault}
+              className="text-sm text-blue-600 hover:text-blue-700"
+            >
+              {isAvatarDefault ? `Remove as ${avatar.fullName}'s default` : `Use as ${avatar.fullName}'s default`}
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={handleDelete}
+            className="text-sm text-red-600 hover:text-red-700"
+          >
+            Delete
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <p className="text-sm text-red-600">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default PresetPicker;
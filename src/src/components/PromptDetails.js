@@ -0,0 +1,29 @@
+import React from 'react';
+
+/**
+ * An image's prompt as sent to the model, next to the prompt as typed when
+ * snippets, weights or --no changed it
+ */
+const PromptDetails = ({ image }) => {
+  const typed = image.rawPrompt && image.rawPrompt !== image.prompt ? image.rawPrompt : null;
+
+  return (
+    <div className="mb-3 space-y-1">
+      <p className="text-gray-600">
+        {typed && <span className="text-sm text-gray-400">Sent: </span>}
+        {image.prompt}
+      </p>
+      {image.negativePrompt && (
+        <p className="text-sm text-gray-500">Negative: {image.negativePrompt}</p>
+      )}
+      {typed && (
+        <p className="text-sm text-gray-500">
+          <span className="text-gray-400">Typed: </span>
+          <span className="font-mono">{typed}</span>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PromptDetails;
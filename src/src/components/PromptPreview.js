@@ -0,0 +1,81 @@
+import React, { useState, useEffect } from 'react';
+import { imageAPI } from '../utils/api';
+
+// Wait for typing to pause before asking the server
+const PREVIEW_DELAY_MS = 600;
+
+/**
+ * The exact prompt the server would send for the current form: snippets
+ * expanded, weights rendered for the model and trigger words placed by the
+ * avatar's rule
+ */
+const PromptPreview = ({ prompt, avatarId, blend }) => {
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!avatarId || prompt.trim().length < 3) {
+      setPreview(null);
+      setError('');
+      return undefined;
+    }
+
+    // Blend entries still being filled in are left out
+    const requestBlend = blend
+      .filter(entry => (entry.weights !== undefined ? entry.weights.trim() : entry.avatarId))
+      .map(entry => (entry.weights !== undefined
+        ? { weights: entry.weights.trim(), triggerWord: entry.triggerWord.trim(), scale: entry.scale }
+        : { avatarId: entry.avatarId, scale: entry.scale }
+      ));
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await imageAPI.previewPrompt({ prompt: prompt.trim(), avatarId, blend: requestBlend });
+        if (!cancelled) {
+          setPreview(response.data);
+          setError('');
+        }
+      } catch (error) {
+        if (!cancelled) {
+          setPreview(null);
+          setError(error.response?.data?.message || 'Failed to preview prompt');
+        }
+      }
+    }, PREVIEW_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [prompt, avatarId, blend]);
+
+  if (error) {
+    return <p className="text-xs text-red-600 mt-1">{error}</p>;
+  }
+
+  if (!preview) {
+    return null;
+  }
+
+  return (
+    <div className="mt-2 p-2 bg-gray-50 rounded-lg text-xs text-gray-600 space-y-1">
+      <p>
+        <span className="font-medium">Final prompt:</span>{' '}
+        <span className="font-mono">{preview.prompt}</span>
+      </p>
+      {preview.negativePrompt && (
+        <p>
+          <span className="font-medium">Negative:</span>{' '}
+          <span className="font-mono">{preview.negativePrompt}</span>
+          {!preview.sentNegativePrompt && ' (recorded only)'}
+        </p>
+      )}
+      {preview.warnings?.map(warning => (
+        <p key={warning} className="text-amber-700">{warning}</p>
+      ))}
+    </div>
+  );
+};
+
+export default PromptPreview;
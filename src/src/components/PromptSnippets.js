@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { snippetAPI } from '../utils/api';
+
+/**
+ * The user's saved prompt snippets. Clicking one inserts its $name into the
+ * prompt; the server expands it when the generation is queued.
+ */
+const PromptSnippets = ({ onInsert }) => {
+  const [snippets, setSnippets] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchSnippets();
+  }, []);
+
+  const fetchSnippets = async () => {
+    try {
+      const response = await snippetAPI.getAll();
+      setSnippets(response.data.snippets);
+    } catch (error) {
+      console.error('Failed to fetch prompt snippets:', error);
+    }
+  };
+
+  const handleCreate = async () => {
+    const name = window.prompt('Snippet name (used as $name)', '');
+    if (!name) return;
+    const text = window.prompt(`Text for $${name}`, '');
+    if (!text) return;
+
+    try {
+      setError('');
+      const response = await snippetAPI.create({ name, text });
+      setSnippets(prev => [...prev, response.data.snippet].sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (error) {
+      console.error('Failed to save prompt snippet:', error);
+      setError(error.response?.data?.message || 'Failed to save snippet');
+    }
+  };
+
+  const handleDelete = async (snippet) => {
+    if (!window.confirm(`Delete snippet "$${snippet.name}"?`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      await snippetAPI.delete(snippet.id);
+      setSnippets(prev => prev.filter(candidate => candidate.id !== snippet.id));
+    } catch (error) {
+      console.error('Failed to delete prompt snippet:', error);
+      setError('Failed to delete snippet');
+    }
+  };
+
+  return (
+    <div className="mt-2">
+      <div className="flex flex-wrap items-center gap-2">
+        {snippets.map(snippet => (
+          <span key={snippet.id} className="inline-flex items-center bg-gray-100 rounded-full text-xs font-mono text-gray-700">
+            <button
+              type="button"
+              onClick={() => onInsert(`$${snippet.name}`)}
+              title={snippet.text}
+              className="pl-2 pr-1 py-1 hover:text-blue-600"
+            >
+              ${snippet.name}
+            </button>
+            <button
+              type="button"
+              onClick={() => handleDelete(snippet)}
+              className="pr-2 py-1 text-gray-400 hover:text-red-600"
+              title="Delete snippet"
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        <button
+          type="button"
+          onClick={handleCreate}
+          className="text-xs text-blue-600 hover:text-blue-700"
+        >
+          + Snippet
+        </button>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 mt-1">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default PromptSnippets;
@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react';
+import { promptAPI } from '../utils/api';
+
+// Filled from the selected avatar by the server
+const TRIGGER_VARIABLE = 'trigger';
+
+/**
+ * Pick a saved prompt template, fill its variables and hand back the final prompt.
+ * The current prompt can also be saved as a new template.
+ */
+const PromptTemplatePicker = ({ avatarId, currentPrompt, onApply }) => {
+  const [templates, setTemplates] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [variables, setVariables] = useState({});
+  const [applying, setApplying] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchTemplates();
+  }, []);
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await promptAPI.getAll();
+      setTemplates(response.data.templates);
+    } catch (error) {
+      console.error('Failed to fetch prompt templates:', error);
+    }
+  };
+
+  const selectedTemplate = templates.find(template => template.id === selectedId);
+  const userVariables = selectedTemplate
+    ? selectedTemplate.variables.filter(name => name !== TRIGGER_VARIABLE)
+    : [];
+
+  const handleSelect = (e) => {
+    setSelectedId(e.target.value);
+    setVariables({});
+    setError('');
+  };
+
+  const handleApply = async () => {
+    try {
+      setApplying(true);
+      setError('');
+      const response = await promptAPI.render(selectedId, { avatarId: avatarId || undefined, variables });
+      onApply(response.data.prompt);
+    } catch (error) {
+      console.error('Failed to render prompt template:', error);
+      setError(error.response?.data?.message || 'Failed to apply template');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const name = window.prompt('Template name', '');
+    if (!name) return;
+
+    try {
+      setError('');
+      const response = await promptAPI.create({ name, template: currentPrompt });
+      setTemplates(prev => [...prev, response.data.template].sort((a, b) => a.name.localeCompare(b.name)));
+      setSelectedId(response.data.template.id);
+      setVariables({});
+    } catch (error) {
+      console.error('Failed to save prompt template:', error);
+      setError(error.response?.data?.message || 'Failed to save template');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete template "${selectedTemplate.name}"?`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      await promptAPI.delete(selectedId);
+      setTemplates(prev => prev.filter(template => template.id !== selectedId));
+      setSelectedId('');
+    } catch (error) {
+      console.error('Failed to delete prompt template:', error);
+      setError('Failed to delete template');
+    }
+  };
+
+  return (
+    <div className="mb-3 p-3 bg-gray-50 rounded-lg space-y-3">
+      <div className="flex gap-2">
+        <select
+          value={selectedId}
+          onChange={handleSelect}
+          className="flex-1 min-w-0 border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">Start from a template...</option>
+          {templates.map(template => (
+            <option key={template.id} value={template.id}>{template.name}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={currentPrompt.trim().length < 3}
+          className="text-sm text-blue-600 hover:text-blue-700 disabled:text-gray-400"
+          title="Save the current prompt as a template. Use {{name}} for variables and {{trigger}} for the avatar's trigger word."
+        >
+          Save as template
+        </button>
+      </div>
+
+      {selectedTemplate && (
+        <>
+          <p className="text-xs text-gray-500 font-mono">{selectedTemplate.template}</p>
+
+          {userVariables.map(name => (
+            <input
+              key={name}
+              type="text"
+              value={variables[name] || ''}
+              onChange={(e) => setVariables(prev => ({ ...prev, [name]: e.target.value }))}
+              placeholder={name}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          ))}
+
+          <div className="flex justify-between">
+            <button
+              type="button"
+              onClick={handleApply}
+              disabled={applying}
+              className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white text-sm px-3 py-1 rounded-lg transition-colors"
+            >
+              {applying ? 'Applying...' : 'Use Template'}
+            </button>
+            <button
+              type="button"
+              onClick={handleDelete}
+              className="text-sm text-red-600 hover:text-red-700"
+            >
+              Delete
+            </button>
+          </div>
+        </>
+      )}
+
+      {error && (
+        <p className="text-sm text-red-600">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default PromptTemplatePicker;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Drop or pick a reference image for image-to-image generation. A reference is
+ * either an upload ({ dataUrl, name }) or an existing image ({ imageId, url }).
+ */
+const ReferenceImageDropZone = ({ reference, onChange, strength, strengthParameter, onStrengthChange }) => {
+  const [dragging, setDragging] = useState(false);
+  const [error, setError] = useState('');
+
+  const readFile = (file) => {
+    if (!file) return;
+
+    if (!ACCEPTED_TYPES.includes(file.type)) {
+      setError('Reference images must be JPEG, PNG or WebP');
+      return;
+    }
+
+    if (file.size > MAX_UPLOAD_BYTES) {
+      setError('Reference images are limited to 5MB');
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setError('');
+      onChange({ dataUrl: reader.result, name: file.name });
+    };
+    reader.onerror = () => setError('Failed to read image file');
+    reader.readAsDataURL(file);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    readFile(e.dataTransfer.files[0]);
+  };
+
+  const handleFileChange = (e) => {
+    readFile(e.target.files[0]);
+    e.target.value = '';
+  };
+
+  return (
+    <div className="mt-3">
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Reference Image (optional)
+      </label>
+
+      {reference ? (
+        <div className="p-3 bg-gray-50 rounded-lg space-y-3">
+          <div className="flex items-center gap-3">
+            <img
+              src={reference.dataUrl || reference.url}
+              alt="Reference"
+              className="w-16 h-16 object-cover rounded"
+            />
+            <p className="flex-1 min-w-0 text-sm text-gray-600 truncate">
+              {reference.name || 'Generated image'}
+            </p>
+            <button
+              type="button"
+              onClick={() => onChange(null)}
+              className="text-sm text-red-600 hover:text-red-700"
+            >
+              Remove
+            </button>
+          </div>
+          {strengthParameter && (
+            <label className="block text-sm text-gray-600">
+              Prompt Strength: {strength}
+              <input
+                type="range"
+                min={strengthParameter.min}
+                max={strengthParameter.max}
+                step={strengthParameter.step}
+                value={strength}
+                onChange={(e) => onStrengthChange(e.target.value)}
+                className="w-full"
+              />
+              <span className="block text-xs text-gray-500">
+                Lower values stay closer to the reference; 1 ignores it.
+              </span>
+            </label>
+          )}
+        </div>
+      ) : (
+        <label
+          onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={handleDrop}
+          className={`block p-4 border-2 border-dashed rounded-lg text-center text-sm cursor-pointer transition-colors ${dragging ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-500 hover:border-gray-400'}`}
+        >
+          Drop an image here or click to upload
+          <input type="file" accept={ACCEPTED_TYPES.join(',')} onChange={handleFileChange} className="hidden" />
+        </label>
+      )}
+
+      {error && (
+        <p className="text-sm text-red-600 mt-1">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default ReferenceImageDropZone;
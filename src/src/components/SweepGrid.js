@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+
+const PARAMETER_LABELS = {
+  lora_scale: 'LoRA Scale',
+  guidance_scale: 'Guidance Scale',
+  num_inference_steps: 'Inference Steps'
+};
+
+const CELL_SIZE = 384;
+const LABEL_SIZE = 48;
+
+export const sweepParameterLabel = (parameter) => PARAMETER_LABELS[parameter] || parameter;
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error(`Failed to load ${src}`));
+  image.src = src;
+});
+
+// Draw an image centered in a square cell, cropped to fill it
+const drawCover = (context, image, x, y, size) => {
+  const scale = Math.max(size / image.width, size / image.height);
+  const width = image.width * scale;
+  const height = image.height * scale;
+
+  context.save();
+  context.beginPath();
+  context.rect(x, y, size, size);
+  context.clip();
+  context.drawImage(image, x + (size - width) / 2, y + (size - height) / 2, width, height);
+  context.restore();
+};
+
+/**
+ * Labelled X/Y grid for a parameter sweep job, exportable as one composite image
+ */
+const SweepGrid = ({ job, images, onSelect }) => {
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState('');
+  const { x, y, seed } = job.sweep;
+  const columns = x.values.length;
+
+  const imageAt = (position) => images.find(image => image.position === position);
+  const predictionAt = (position) => job.predictions?.find(prediction => prediction.position === position);
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      setExportError('');
+
+      const canvas = document.createElement('canvas');
+      canvas.width = LABEL_SIZE + columns * CELL_SIZE;
+      canvas.height = LABEL_SIZE * 2 + y.values.length * CELL_SIZE;
+      const context = canvas.getContext('2d');
+
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.fillStyle = '#111827';
+      context.font = '20px sans-serif';
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+
+      // Column labels
+      x.values.forEach((value, column) => {
+        context.fillText(`${sweepParameterLabel(x.parameter)} ${value}`, LABEL_SIZE + column * CELL_SIZE + CELL_SIZE / 2, LABEL_SIZE / 2);
+      });
+
+      // Row labels, rotated along the left edge
+      y.values.forEach((value, row) => {
+        context.save();
+        context.translate(LABEL_SIZE / 2, LABEL_SIZE + row * CELL_SIZE + CELL_SIZE / 2);
+        context.rotate(-Math.PI / 2);
+        context.fillText(`${sweepParameterLabel(y.parameter)} ${value}`, 0, 0);
+        context.restore();
+      });
+
+      const cells = y.values.flatMap((_, row) => x.values.map((__, column) => ({ row, column })));
+      await Promise.all(cells.map(async ({ row, column }) => {
+        const image = imageAt(row * columns + column);
+        const left = LABEL_SIZE + column * CELL_SIZE;
+        const top = LABEL_SIZE + row * CELL_SIZE;
+
+        if (!image) {
+          context.fillStyle = '#e5e7eb';
+          context.fillRect(left, top, CELL_SIZE, CELL_SIZE);
+          return;
+        }
+
+        drawCover(context, await loadImage(image.imageUrl), left, top, CELL_SIZE);
+      }));
+
+      context.fillStyle = '#6b7280';
+      context.font = '16px sans-serif';
+      context.fillText(`${job.prompt} — seed ${seed}`, canvas.width / 2, canvas.height - LABEL_SIZE / 2, canvas.width - 32);
+
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `davinci-ai-sweep-${job.id}.png`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      console.error('Failed to export sweep grid:', error);
+      setExportError('Failed to export the grid. Some images could not be loaded.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-sm text-gray-600">
+          {sweepParameterLabel(x.parameter)} × {sweepParameterLabel(y.parameter)} at seed {seed}
+        </p>
+        <button
+          onClick={handleExport}
+          disabled={exporting || images.length === 0}
+          className="bg-gray-600 hover:bg-gray-700 disabled:bg-gray-400 text-white text-sm px-3 py-1 rounded-lg transition-colors"
+        >
+          {exporting ? 'Exporting...' : 'Export Grid'}
+        </button>
+      </div>
+
+      {exportError && (
+        <p className="text-sm text-red-600 mb-3">{exportError}</p>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="border-separate" style={{ borderSpacing: '8px' }}>
+          <thead>
+            <tr>
+              <th className="text-xs text-gray-500 font-medium">
+                {sweepParameterLabel(y.parameter)} ↓ / {sweepParameterLabel(x.parameter)} →
+              </th>
+              {x.values.map(value => (
+                <th key={value} className="text-sm text-gray-700 font-medium">{value}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {y.values.map((yValue, row) => (
+              <tr key={yValue}>
+                <th className="text-sm text-gray-700 font-medium pr-2">{yValue}</th>
+                {x.values.map((xValue, column) => {
+                  const position = row * columns + column;
+                  const image = imageAt(position);
+                  const prediction = predictionAt(position);
+
+                  return (
+                    <td key={xValue} className="w-40 h-40 bg-gray-100 rounded-lg overflow-hidden align-middle text-center">
+                      {image ? (
+                        <img
+                          src={image.imageUrl}
+                          alt={`${x.parameter} ${xValue}, ${y.parameter} ${yValue}`}
+                          className={`w-40 h-40 object-cover cursor-pointer ${image.isPendingReview ? 'ring-2 ring-orange-200' : ''}`}
+                          onClick={() => onSelect(image)}
+                        />
+                      ) : (
+                        <span className={`text-xs ${prediction?.status === 'FAILED' ? 'text-red-600' : 'text-gray-500'}`}>
+                          {prediction?.status === 'RUNNING'
+                            ? `${Math.round((prediction.progress || 0) * 100)}%`
+                            : (prediction?.status || 'QUEUED').toLowerCase()}
+                        </span>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default SweepGrid;
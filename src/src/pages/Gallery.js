@@ -1,6 +1,10 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { imageAPI, avatarAPI } from '../utils/api';
 import LoadingSpinner from '../components/LoadingSpinner';
+import InpaintEditor from '../components/InpaintEditor';
+import LineageStrip from '../components/LineageStrip';
+import PromptDetails from '../components/PromptDetails';
 
 const Gallery = () => {
   const [images, setImages] = useState([]);
@@ -11,7 +15,9 @@ const Gallery = () => {
   const [currentPage, setCurrentPage] = useState(1);
   const [pagination, setPagination] = useState({});
   const [selectedImage, setSelectedImage] = useState(null);
+  const [editing, setEditing] = useState(false);
   const [error, setError] = useState('');
+  const navigate = useNavigate();
 
   useEffect(() => {
     fetchImages(currentPage);
@@ -68,6 +74,36 @@ const Gallery = () => {
 
 
 
+  // Open the Generate page pre-filled with this image's settings
+  const handleRemix = (image) => {
+    navigate('/generate', { state: { remix: image } });
+  };
+
+  // Open the Generate page with this image as the reference of an image-to-image generation
+  const handleUseAsReference = (image) => {
+    navigate('/generate', { state: { reference: image } });
+  };
+
+  // Follow a queued inpainting edit on the Generate page
+  const handleEditQueued = (job) => {
+    navigate('/generate', { state: { job } });
+  };
+
+  // Jump to another version from the lineage strip
+  const handleSelectVersion = async (version) => {
+    try {
+      const response = await imageAPI.getById(version.id);
+      setSelectedImage(response.data.image);
+    } catch (error) {
+      console.error('Failed to fetch image:', error);
+    }
+  };
+
+  const closeModal = () => {
+    setSelectedImage(null);
+    setEditing(false);
+  };
+
   const handleCopyUrl = async (imageUrl) => {
     try {
       await navigator.clipboard.writeText(imageUrl);
@@ -76,12 +112,13 @@ const Gallery = () => {
     }
   };
 
+  // Blended images show under every contributing avatar
   const filteredImages = images.filter(image => {
     const matchesSearch = image.prompt.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      (image.avatar?.fullName && image.avatar.fullName.toLowerCase().includes(searchTerm.toLowerCase()));
+      image.avatars.some(avatar => avatar.fullName?.toLowerCase().includes(searchTerm.toLowerCase()));
     
     const matchesAvatar = !selectedAvatar || 
-      (image.avatar?.id && image.avatar.id.toString() === selectedAvatar);
+      image.avatars.some(avatar => avatar.id === selectedAvatar);
     
     return matchesSearch && matchesAvatar;
   });
@@ -206,9 +243,9 @@ const Gallery = () => {
                 <p className="text-xs text-gray-500 mt-1">
                   {new Date(image.createdAt).toLocaleDateString()}
                 </p>
-                {image.avatar && (
+                {image.avatars.length > 0 && (
                   <p className="text-xs text-blue-600 mt-1">
-                    Avatar: {image.avatar.fullName}
+                    {image.avatars.length > 1 ? 'Avatars' : 'Avatar'}: {image.avatars.map(avatar => avatar.fullName).join(' + ')}
                   </p>
                 )}
               </div>
@@ -273,46 +310,107 @@ const Gallery = () => {
 
       {/* Image Modal */}
       {selectedImage && (
-        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50" onClick={() => setSelectedImage(null)}>
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50" onClick={closeModal}>
           <div className="max-w-4xl max-h-[90vh] mx-4" onClick={(e) => e.stopPropagation()}>
             <div className="bg-white rounded-lg overflow-hidden">
-              <img
-                src={selectedImage.imageUrl}
-                alt={selectedImage.prompt}
-                className="w-full h-auto max-h-[70vh] object-contain"
-              />
-              <div className="p-6">
-                <h3 className="text-lg font-semibold text-gray-900 mb-2">Generated Image</h3>
-                <p className="text-gray-600 mb-3">{selectedImage.prompt}</p>
-                {selectedImage.avatar && (
-                  <p className="text-sm text-blue-600 mb-3">
-                    Avatar: {selectedImage.avatar.fullName} ({selectedImage.avatar.triggerWord})
-                  </p>
-                )}
-                <p className="text-sm text-gray-500 mb-4">
-                  Created: {new Date(selectedImage.createdAt).toLocaleDateString()}
-                </p>
-                <div className="flex space-x-3">
-                  <button
-                    onClick={() => handleDownload(selectedImage.imageUrl, selectedImage.prompt)}
-                    className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors"
-                  >
-                    Download
-                  </button>
-                  <button
-                    onClick={() => handleCopyUrl(selectedImage.imageUrl)}
-                    className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg transition-colors"
-                  >
-                    Copy URL
-                  </button>
-                  <button
-                    onClick={() => setSelectedImage(null)}
-                    className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-lg transition-colors"
-                  >
-                    Close
-                  </button>
+              {editing ? (
+                <div className="p-6">
+                  <h3 className="text-lg font-semibold text-gray-900 mb-3">Edit Region</h3>
+                  <InpaintEditor
+                    image={selectedImage}
+                    onQueued={handleEditQueued}
+                    onCancel={() => setEditing(false)}
+                  />
                 </div>
-              </div>
+              ) : (
+                <>
+                  <img
+                    src={selectedImage.imageUrl}
+                    alt={selectedImage.prompt}
+                    className="w-full h-auto max-h-[70vh] object-contain"
+                  />
+                  <div className="p-6">
+                    <h3 className="text-lg font-semibold text-gray-900 mb-2">Generated Image</h3>
+                    <PromptDetails image={selectedImage} />
+                    {selectedImage.avatar && (
+                      <p className="text-sm text-blue-600 mb-3">
+                        Avatar: {selectedImage.avatar.fullName} ({selectedImage.avatar.triggerWord})
+                        {selectedImage.avatars.length > 1 && (
+                          <span className="text-gray-500">
+                            {' '}blended with {selectedImage.avatars.slice(1).map(avatar => `${avatar.fullName} @ ${avatar.scale}`).join(', ')}
+                          </span>
+                        )}
+                      </p>
+                    )}
+                    {selectedImage.referenceUrl && (
+                      <div className="flex items-center gap-2 mb-2">
+                        <img
+                          src={selectedImage.referenceUrl}
+                          alt="Reference"
+                          className="w-10 h-10 object-cover rounded"
+                        />
+                        <span className="text-sm text-gray-600">
+                          Generated from a reference image at strength {selectedImage.parameters?.prompt_strength ?? '—'}
+                        </span>
+                      </div>
+                    )}
+                    {selectedImage.processedUrl && (
+                      <p className="text-sm text-gray-600 mb-2">
+                        Processed variant
+                        {selectedImage.postProcessing?.width && ` (${selectedImage.postProcessing.width}×${selectedImage.postProcessing.height})`}:{' '}
+                        <button
+                          onClick={() => handleDownload(selectedImage.processedUrl, selectedImage.prompt)}
+                          className="text-blue-600 hover:text-blue-700"
+                        >
+                          Download
+                        </button>
+                      </p>
+                    )}
+                    <LineageStrip image={selectedImage} onSelect={handleSelectVersion} />
+                    <p className="text-sm text-gray-500 mb-4">
+                      Created: {new Date(selectedImage.createdAt).toLocaleDateString()}
+                    </p>
+                    <div className="flex space-x-3">
+                      <button
+                        onClick={() => handleDownload(selectedImage.imageUrl, selectedImage.prompt)}
+                        className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors"
+                      >
+                        Download
+                      </button>
+                      <button
+                        onClick={() => handleCopyUrl(selectedImage.imageUrl)}
+                        className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg transition-colors"
+                      >
+                        Copy URL
+                      </button>
+                      <button
+                        onClick={() => handleRemix(selectedImage)}
+                        className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg transition-colors"
+                      >
+                        Remix
+                      </button>
+                      <button
+                        onClick={() => handleUseAsReference(selectedImage)}
+                        className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg transition-colors"
+                      >
+                        Use as Reference
+                      </button>
+                      <button
+                        onClick={() => setEditing(true)}
+                        className="bg-pink-600 hover:bg-pink-700 text-white px-4 py-2 rounded-lg transition-colors"
+                      >
+                        Edit Region
+                      </button>
+                      <button
+                        onClick={closeModal}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-lg transition-colors"
+                      >
+                        Close
+                      </button>
+                    </div>
+                  </div>
+                </>
+              )}
             </div>
           </div>
         </div>
@@ -1,47 +1,237 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { imageAPI, avatarAPI } from '../utils/api';
+import { imageAPI, avatarAPI, presetAPI, modelAPI } from '../utils/api';
 import LoadingSpinner from '../components/LoadingSpinner';
+import SweepGrid, { sweepParameterLabel } from '../components/SweepGrid';
+import PromptTemplatePicker from '../components/PromptTemplatePicker';
+import PromptSnippets from '../components/PromptSnippets';
+import PromptDetails from '../components/PromptDetails';
+import PromptPreview from '../components/PromptPreview';
+import PresetPicker, { PRESET_SETTINGS } from '../components/PresetPicker';
+import LoraBlendPicker from '../components/LoraBlendPicker';
+import ReferenceImageDropZone from '../components/ReferenceImageDropZone';
+import InpaintEditor from '../components/InpaintEditor';
+import PostProcessingOptions, { DEFAULT_POST_PROCESSING, postProcessRequest } from '../components/PostProcessingOptions';
+
+const TERMINAL_JOB_STATUSES = ['SUCCEEDED', 'FAILED', 'CANCELED'];
+const JOB_POLL_INTERVAL_MS = 3000;
+const MAX_LOG_LINES = 8;
+const SWEEP_PARAMETERS = ['lora_scale', 'guidance_scale', 'num_inference_steps'];
+const ASPECT_RATIO_LABELS = {
+  '1:1': 'Square (1:1)',
+  '16:9': 'Landscape (16:9)',
+  '9:16': 'Portrait (9:16)',
+  '4:3': 'Standard (4:3)',
+  '3:4': 'Portrait (3:4)',
+  '3:2': 'Photo (3:2)',
+  '2:3': 'Portrait Photo (2:3)'
+};
+const OUTPUT_FORMAT_LABELS = { webp: 'WebP', jpg: 'JPEG', png: 'PNG' };
+const GENERATION_MODES = [
+  { value: 'single', label: 'Single' },
+  { value: 'sweep', label: 'Sweep' },
+  { value: 'batch', label: 'Batch' }
+];
+
+// "0.6, 0.8, 1" -> [0.6, 0.8, 1]
+const parseSweepValues = (text) => text
+  .split(',')
+  .map(value => value.trim())
+  .filter(Boolean)
+  .map(Number);
+
+// Human readable stage of a single prediction within a job
+const predictionStageLabel = (prediction) => {
+  switch (prediction.status) {
+    case 'QUEUED':
+      return 'Queued';
+    case 'RUNNING':
+      return prediction.providerStatus === 'processing'
+        ? `Processing ${Math.round((prediction.progress || 0) * 100)}%`
+        : 'Starting';
+    case 'SUCCEEDED':
+      return 'Ready';
+    case 'FAILED':
+      return 'Failed';
+    default:
+      return 'Canceled';
+  }
+};
+
+// Generation settings are filled from the avatar's base model defaults or preset on load
+const DEFAULT_FORM_DATA = {
+  prompt: '',
+  avatarId: '',
+  seed: ''
+};
+
+// Sweeps don't blend; a constant keeps the prompt preview from refetching every render
+const NO_BLEND = [];
+
+// The registry entry for an avatar's base model
+const avatarModel = (models, defaultModel, avatar) => (
+  models.find(model => model.id === avatar?.baseModel) || models.find(model => model.id === defaultModel)
+);
+
+// What a model does with prompt weights and negative prompts it doesn't take
+const promptSyntaxNote = (model) => {
+  const unsupported = [
+    !model.promptWeights && 'weights are dropped',
+    !model.negativePrompt && 'the negative prompt is only recorded'
+  ].filter(Boolean);
+  return unsupported.length > 0 ? ` With ${model.label}, ${unsupported.join(' and ')}.` : '';
+};
+
+// Keep only the settings a model takes, clamped to its ranges
+const fitSettings = (model, settings) => Object.fromEntries(
+  Object.entries(settings)
+    .filter(([key, value]) => model?.parameters[key] && value !== undefined && value !== '')
+    .map(([key, value]) => {
+      const definition = model.parameters[key];
+      if (definition.type === 'enum') {
+        return [key, definition.values.includes(value) ? value : definition.default];
+      }
+      if (definition.type === 'boolean') {
+        return [key, value];
+      }
+      return [key, Math.min(Math.max(Number(value), definition.min), definition.max)];
+    })
+);
+
+// Swap sweep axes the model doesn't take for ones it does
+const fitSweepAxes = (model, axes) => {
+  const available = SWEEP_PARAMETERS.filter(parameter => model?.parameters[parameter]);
+  const xParameter = available.includes(axes.xParameter) ? axes.xParameter : available[0];
+  const yParameter = available.includes(axes.yParameter) && axes.yParameter !== xParameter
+    ? axes.yParameter
+    : available.find(parameter => parameter !== xParameter);
+  return { ...axes, xParameter, yParameter };
+};
+
+// Settings for an avatar: its default preset layered over its model's defaults.
+// Parameters the model doesn't take are cleared.
+const avatarSettings = (model, avatar) => {
+  const presetSettings = fitSettings(model, avatar?.defaultPreset?.settings || {});
+  return Object.fromEntries(
+    PRESET_SETTINGS.map(key => [key, presetSettings[key] ?? model?.defaults[key]])
+  );
+};
+
+// Form values that re-run an existing image's prompt and recorded settings
+const remixFormData = (image, current) => {
+  const parameters = image.parameters || {};
+  const settings = Object.fromEntries(
+    ['lora_scale', 'aspect_ratio', 'output_format', 'guidance_scale', 'num_inference_steps', 'go_fast']
+      .filter(key => parameters[key] !== undefined)
+      .map(key => [key, parameters[key]])
+  );
+
+  return {
+    ...current,
+    ...settings,
+    prompt: image.rawPrompt || image.prompt,
+    avatarId: image.avatar?.id?.toString() || image.avatarId || current.avatarId,
+    seed: image.seed !== null && image.seed !== undefined ? image.seed.toString() : ''
+  };
+};
+
+// A generated image used as the reference of an image-to-image generation
+const imageReference = (image) => ({ imageId: image.id, url: image.imageUrl });
 
 const Generate = () => {
   const { user } = useAuth();
-  const [formData, setFormData] = useState({
-    prompt: '',
-    avatarId: '',
-    lora_scale: 1,
-    num_outputs: 4,
-    aspect_ratio: '1:1',
-    output_format: 'jpg',
-    guidance_scale: 2,
-    num_inference_steps: 36,
-    seed: '',
-    go_fast: true
+  const location = useLocation();
+  const remixSource = location.state?.remix;
+  const referenceSource = location.state?.reference;
+  const queuedJob = useRef(location.state?.job);
+  const keepRemixSettings = useRef(Boolean(remixSource));
+  const [formData, setFormData] = useState(() => {
+    if (remixSource) {
+      return remixFormData(remixSource, DEFAULT_FORM_DATA);
+    }
+    // A reference picked in the gallery starts with the image's avatar selected
+    return referenceSource?.avatar
+      ? { ...DEFAULT_FORM_DATA, avatarId: referenceSource.avatar.id.toString() }
+      : DEFAULT_FORM_DATA;
   });
   
   const [avatars, setAvatars] = useState([]);
+  const [presets, setPresets] = useState([]);
+  const [models, setModels] = useState([]);
+  const [defaultModel, setDefaultModel] = useState('');
   const [loading, setLoading] = useState(false);
   const [avatarsLoading, setAvatarsLoading] = useState(true);
   const [generatedImages, setGeneratedImages] = useState([]);
   const [error, setError] = useState('');
   const [selectedImage, setSelectedImage] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [activeJob, setActiveJob] = useState(null);
+  const [generationLogs, setGenerationLogs] = useState([]);
+  const [canceling, setCanceling] = useState(false);
+  const [mode, setMode] = useState('single');
+  const [batchPrompts, setBatchPrompts] = useState('');
+  const [batchCsv, setBatchCsv] = useState(null);
+  const [approvingAll, setApprovingAll] = useState(false);
+  const [postProcessing, setPostProcessing] = useState(DEFAULT_POST_PROCESSING);
+  const [blend, setBlend] = useState([]);
+  const [reference, setReference] = useState(() => (
+    referenceSource ? imageReference(referenceSource) : null
+  ));
+  const [sweepAxes, setSweepAxes] = useState({
+    xParameter: 'lora_scale',
+    xValues: '0.6, 0.8, 1',
+    yParameter: 'guidance_scale',
+    yValues: '2, 3.5, 5'
+  });
+  const pollTimer = useRef(null);
+  const streamController = useRef(null);
+  const followJobRef = useRef(null); // Latest followJob, for the mount effect
 
   useEffect(() => {
     fetchAvatars();
+    // Follow a job queued elsewhere, e.g. an inpainting edit started in the Gallery
+    if (queuedJob.current) {
+      followJobRef.current(queuedJob.current);
+    }
+  }, []);
+
+  // Stop streaming/polling when leaving the page
+  useEffect(() => {
+    return () => {
+      clearTimeout(pollTimer.current);
+      streamController.current?.abort();
+    };
   }, []);
 
   const fetchAvatars = async () => {
     try {
       setAvatarsLoading(true);
-      const response = await avatarAPI.getAll();
-      setAvatars(response.data.avatars);
+      const [response, presetsResponse, modelsResponse] = await Promise.all([
+        avatarAPI.getAll(),
+        presetAPI.getAll(),
+        modelAPI.getAll()
+      ]);
+      const loadedAvatars = response.data.avatars;
+      const { models: loadedModels, defaultModel: loadedDefaultModel } = modelsResponse.data;
+      setAvatars(loadedAvatars);
+      setPresets(presetsResponse.data.presets);
+      setModels(loadedModels);
+      setDefaultModel(loadedDefaultModel);
       
-      // Auto-select first avatar if available
-      if (response.data.avatars.length > 0) {
-        setFormData(prev => ({
-          ...prev,
-          avatarId: response.data.avatars[0].id.toString()
-        }));
-      }
+      // Auto-select first avatar if available and load its settings
+      // (a remixed image keeps its own avatar and settings)
+      setFormData(prev => {
+        const avatarId = prev.avatarId || loadedAvatars[0]?.id.toString() || '';
+        const avatar = loadedAvatars.find(candidate => candidate.id.toString() === avatarId);
+        const model = avatarModel(loadedModels, loadedDefaultModel, avatar);
+
+        if (keepRemixSettings.current) {
+          return { ...prev, ...avatarSettings(model, null), ...fitSettings(model, prev) };
+        }
+
+        return { ...prev, ...avatarSettings(model, avatar), avatarId };
+      });
     } catch (error) {
       console.error('Failed to fetch avatars:', error);
       setError('Failed to load avatars. Please try again.');
@@ -50,6 +240,42 @@ const Generate = () => {
     }
   };
 
+  // Pre-fill the form from a generated image so it can be tweaked and re-run
+  const handleRemix = (image) => {
+    setFormData(prev => remixFormData(image, prev));
+    setSelectedImage(null);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  // Start an image-to-image generation from a generated image
+  const handleUseAsReference = (image) => {
+    setReference(imageReference(image));
+    setMode('single');
+    setSelectedImage(null);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  // Load the newly selected avatar's default preset
+  const handleAvatarChange = (e) => {
+    const avatar = avatars.find(candidate => candidate.id.toString() === e.target.value);
+    const model = avatarModel(models, defaultModel, avatar);
+    setFormData(prev => ({
+      ...prev,
+      ...avatarSettings(model, avatar),
+      avatarId: e.target.value
+    }));
+    setSweepAxes(prev => fitSweepAxes(model, prev));
+    setBlend([]);
+    if (!model?.supportsReferenceImage) {
+      setReference(null);
+    }
+  };
+
+  // Keep the avatar list in sync after its default preset changes
+  const handleAvatarUpdate = (updatedAvatar) => {
+    setAvatars(prev => prev.map(avatar => avatar.id === updatedAvatar.id ? updatedAvatar : avatar));
+  };
+
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
     setFormData(prev => ({
@@ -58,11 +284,36 @@ const Generate = () => {
     }));
   };
 
+  const handleSweepChange = (e) => {
+    const { name, value } = e.target;
+    setSweepAxes(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Read an uploaded CSV; its rows replace the pasted prompts
+  const handleCsvUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setBatchCsv({ name: file.name, text: reader.result });
+      setError('');
+    };
+    reader.onerror = () => setError('Failed to read CSV file');
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const batchPromptLines = batchPrompts
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!formData.prompt.trim()) {
-      setError('Please enter a prompt');
+    if (mode === 'batch' ? !batchCsv && batchPromptLines.length === 0 : !formData.prompt.trim()) {
+      setError(mode === 'batch' ? 'Please enter prompts or upload a CSV file' : 'Please enter a prompt');
       return;
     }
 
@@ -86,12 +337,58 @@ const Generate = () => {
         delete requestData.seed;
       }
 
-      console.log('Generating image with data:', requestData);
-      
-      const response = await imageAPI.generate(requestData);
-      console.log('Image generation response:', response.data);
-      console.log('Generated images:', response.data.images);
-      setGeneratedImages(response.data.images);
+      let response;
+      if (mode === 'batch') {
+        delete requestData.prompt;
+        delete requestData.num_outputs;
+        const batch = batchCsv
+          ? { csv: batchCsv.text }
+          : { items: batchPromptLines.map(prompt => ({ prompt })) };
+
+        console.log('Queueing batch with data:', { ...requestData, ...batch });
+        response = await imageAPI.batch({ ...requestData, ...batch });
+        setBatchPrompts('');
+        setBatchCsv(null);
+      } else if (mode === 'sweep') {
+        const x = { parameter: sweepAxes.xParameter, values: parseSweepValues(sweepAxes.xValues) };
+        const y = { parameter: sweepAxes.yParameter, values: parseSweepValues(sweepAxes.yValues) };
+
+        if ([...x.values, ...y.values].some(Number.isNaN)) {
+          setError('Sweep values must be comma-separated numbers');
+          setLoading(false);
+          return;
+        }
+
+        delete requestData.num_outputs;
+        console.log('Queueing parameter sweep with data:', { ...requestData, x, y });
+        response = await imageAPI.sweep({ ...requestData, x, y });
+      } else {
+        if (blend.length > 0) {
+          if (blend.some(entry => entry.weights !== undefined ? !entry.weights.trim() : !entry.avatarId)) {
+            setError('Choose an avatar or enter the weights for every blended LoRA');
+            setLoading(false);
+            return;
+          }
+
+          requestData.blend = blend.map(entry => (entry.weights !== undefined
+            ? { weights: entry.weights.trim(), triggerWord: entry.triggerWord.trim(), scale: entry.scale }
+            : { avatarId: entry.avatarId, scale: entry.scale }
+          ));
+        }
+
+        const avatar = avatars.find(candidate => candidate.id.toString() === formData.avatarId);
+        if (reference && avatarModel(models, defaultModel, avatar)?.supportsReferenceImage) {
+          if (reference.imageId) {
+            requestData.referenceImageId = reference.imageId;
+          } else {
+            requestData.referenceImage = reference.dataUrl;
+          }
+        }
+
+        console.log('Generating image with data:', { ...requestData, referenceImage: reference?.name });
+        response = await imageAPI.generate(requestData);
+      }
+      console.log('Generation job queued:', response.data.job);
       
       // Clear form on success
       setFormData(prev => ({
@@ -99,33 +396,207 @@ const Generate = () => {
         prompt: '',
         seed: ''
       }));
+
+      followJob(response.data.job);
       
     } catch (error) {
       console.error('Generation error:', error);
       setError(error.response?.data?.message || 'Failed to generate image. Please try again.');
-    } finally {
       setLoading(false);
     }
   };
 
+  const finishJob = (job) => {
+    console.log('Generated images:', job.images);
+    setActiveJob(job);
+    setGeneratedImages(job.images);
+
+    if (job.status === 'FAILED') {
+      setError(job.error || 'Failed to generate image. Please try again.');
+    }
+    setLoading(false);
+  };
+
+  const handleJobEvent = (type, data) => {
+    switch (type) {
+      case 'snapshot':
+        setActiveJob(data.job);
+        setGeneratedImages(data.job.images);
+        break;
+      case 'job':
+        setActiveJob(prev => prev && { ...prev, status: data.status });
+        break;
+      case 'prediction':
+        setActiveJob(prev => prev && {
+          ...prev,
+          predictions: prev.predictions.map(prediction =>
+            prediction.id === data.id ? { ...prediction, ...data } : prediction
+          )
+        });
+        break;
+      case 'logs':
+        setGenerationLogs(prev => [...prev, ...data.lines].slice(-MAX_LOG_LINES));
+        break;
+      case 'image':
+        setGeneratedImages(prev =>
+          prev.some(image => image.id === data.image.id) ? prev : [...prev, data.image]
+        );
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Show a newly queued job's progress and results in place of the previous ones
+  const followJob = (job) => {
+    streamController.current?.abort();
+    clearTimeout(pollTimer.current);
+    setActiveJob(job);
+    setGeneratedImages([]);
+    setGenerationLogs([]);
+    setLoading(true);
+    watchJob(job.id);
+  };
+  followJobRef.current = followJob;
+
+  // Queue an inpainting edit from the preview and follow it here
+  const handleEditQueued = (job) => {
+    closePreview();
+    followJob(job);
+  };
+
+  const closePreview = () => {
+    setSelectedImage(null);
+    setEditing(false);
+  };
+
+  // Follow the job over Server-Sent Events, falling back to polling if the stream drops
+  const watchJob = async (jobId) => {
+    const controller = new AbortController();
+    streamController.current = controller;
+    let finished = false;
+
+    try {
+      await imageAPI.streamJob(jobId, (type, data) => {
+        if (type === 'done') {
+          finished = true;
+          if (data.job) {
+            finishJob(data.job);
+          }
+          return;
+        }
+        handleJobEvent(type, data);
+      }, controller.signal);
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      console.error('Job event stream failed, falling back to polling:', error);
+    }
+
+    if (!controller.signal.aborted && !finished) {
+      pollJob(jobId);
+    } else if (finished) {
+      setLoading(false);
+    }
+  };
+
+  // Poll the generation job until it reaches a terminal status
+  const pollJob = async (jobId) => {
+    try {
+      const response = await imageAPI.getJob(jobId);
+      const { job } = response.data;
+      setActiveJob(job);
+      setGeneratedImages(job.images);
+
+      if (!TERMINAL_JOB_STATUSES.includes(job.status)) {
+        pollTimer.current = setTimeout(() => pollJob(jobId), JOB_POLL_INTERVAL_MS);
+        return;
+      }
+
+      finishJob(job);
+    } catch (error) {
+      console.error('Failed to fetch generation job:', error);
+      setError('Failed to check generation status. Please try again.');
+      setLoading(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!activeJob) return;
+
+    try {
+      setCanceling(true);
+      setError('');
+      const response = await imageAPI.cancelJob(activeJob.id);
+
+      // Stop following the job; partial outputs were discarded server-side
+      streamController.current?.abort();
+      clearTimeout(pollTimer.current);
+      setActiveJob(response.data.job);
+      setGeneratedImages([]);
+      setLoading(false);
+    } catch (error) {
+      console.error('Failed to cancel generation:', error);
+      setError(error.response?.data?.message || 'Failed to cancel generation');
+    } finally {
+      setCanceling(false);
+    }
+  };
+
+  // Approve every image still awaiting review; they are stored together
+  const handleApproveAll = async () => {
+    setApprovingAll(true);
+    setError('');
+
+    try {
+      const imageIds = generatedImages.filter(img => img.isPendingReview).map(img => img.id);
+      const response = await imageAPI.likeMany(imageIds, postProcessRequest(postProcessing));
+      const { results } = response.data;
+
+      const updated = new Map(results.filter(result => result.image).map(result => [result.imageId, result.image]));
+      setGeneratedImages(prev => prev.map(img => updated.get(img.id) || img));
+
+      const failed = results.filter(result => result.error).length;
+      const unprocessed = results.filter(result => result.postProcessingError).length;
+      if (failed > 0) {
+        setError(`Failed to approve ${failed} image(s)`);
+      } else if (unprocessed > 0) {
+        setError(`Post-processing failed for ${unprocessed} approved image(s)`);
+      }
+    } catch (error) {
+      console.error('Failed to approve images:', error);
+      setError(error.response?.data?.message || 'Failed to approve images');
+    } finally {
+      setApprovingAll(false);
+    }
+  };
+
   // Review action handlers
   const handleLike = async (imageId) => {
     try {
       setError('');
       console.log('Liking image:', imageId);
-      const response = await imageAPI.like(imageId);
+      const response = await imageAPI.like(imageId, postProcessRequest(postProcessing));
       console.log('Like response:', response.data);
+      if (response.data.postProcessingError) {
+        setError(`Image approved, but post-processing failed: ${response.data.postProcessingError}`);
+      }
       
       // Update the image in the list to mark as approved
       setGeneratedImages(generatedImages.map(img => 
-        img.id === imageId 
-          ? { ...response.data.image, isPendingReview: false }
-          : img
+        img.id === imageId ? response.data.image : img
       ));
       console.log('Updated generated images after like');
     } catch (error) {
       console.error('Failed to approve image:', error);
-      setError('Failed to approve image');
+      setError(error.response?.data?.message || 'Failed to approve image');
+
+      // Reflect the upload failure so the image can be retried
+      const failedImage = error.response?.data?.image;
+      if (failedImage) {
+        setGeneratedImages(generatedImages.map(img => 
+          img.id === imageId ? failedImage : img
+        ));
+      }
     }
   };
 
@@ -145,15 +616,18 @@ const Generate = () => {
   const handleReviewDownload = async (imageId) => {
     try {
       setError('');
-      const response = await imageAPI.download(imageId);
+      const response = await imageAPI.download(imageId, postProcessRequest(postProcessing));
       
       // Update the image status and download
-      const { downloadUrl, filename } = response.data;
+      const { downloadUrl, filename, reviewStatus, postProcessingError } = response.data;
+      if (postProcessingError) {
+        setError(`Post-processing failed, downloading the original: ${postProcessingError}`);
+      }
       
       // Update image status in the list
       setGeneratedImages(generatedImages.map(img => 
         img.id === imageId 
-          ? { ...img, isPendingReview: false, imageUrl: downloadUrl }
+          ? { ...img, reviewStatus, isPendingReview: reviewStatus !== 'APPROVED', imageUrl: downloadUrl }
           : img
       ));
       
@@ -208,6 +682,20 @@ const Generate = () => {
   }
 
   const selectedAvatar = avatars.find(avatar => avatar.id.toString() === formData.avatarId);
+  const selectedModel = avatarModel(models, defaultModel, selectedAvatar);
+  const modelParameter = (name) => selectedModel?.parameters[name];
+  const sweepParameters = SWEEP_PARAMETERS.filter(modelParameter);
+  const blendModel = models.find(model => model.id === selectedModel?.blendModel);
+  const previewModel = selectedImage && avatarModel(
+    models,
+    defaultModel,
+    avatars.find(avatar => avatar.id.toString() === selectedImage.avatar?.id)
+  );
+  const pendingReviewCount = generatedImages.filter(image => image.isPendingReview).length;
+  const finishedPredictions = (activeJob?.predictions || [])
+    .filter(prediction => TERMINAL_JOB_STATUSES.includes(prediction.status)).length;
+  const failedPredictions = (activeJob?.predictions || [])
+    .filter(prediction => prediction.status === 'FAILED').length;
 
   return (
     <div className="max-w-6xl mx-auto px-4 py-8" style={{maxWidth: '1400px'}}>
@@ -220,6 +708,20 @@ const Generate = () => {
         {/* Generation Form - 1/3 width */}
         <div className="lg:col-span-1 bg-white rounded-lg shadow-md p-6">
           <form onSubmit={handleSubmit} className="space-y-6">
+            {/* Mode Selection */}
+            <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+              {GENERATION_MODES.map(({ value, label }) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setMode(value)}
+                  className={`flex-1 py-2 text-sm font-medium transition-colors ${mode === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
             {/* Avatar Selection */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -228,7 +730,7 @@ const Generate = () => {
               <select
                 name="avatarId"
                 value={formData.avatarId}
-                onChange={handleInputChange}
+                onChange={handleAvatarChange}
                 required
                 className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
               >
@@ -244,6 +746,11 @@ const Generate = () => {
                   <p className="text-sm text-gray-600">
                     <span className="font-medium">Trigger word:</span> {selectedAvatar.triggerWord}
                   </p>
+                  {selectedModel && (
+                    <p className="text-sm text-gray-600 mt-1">
+                      <span className="font-medium">Base model:</span> {selectedModel.label}
+                    </p>
+                  )}
                   {selectedAvatar.description && (
                     <p className="text-sm text-gray-600 mt-1">
                       <span className="font-medium">Description:</span> {selectedAvatar.description}
@@ -251,134 +758,222 @@ const Generate = () => {
                   )}
                 </div>
               )}
+              {mode === 'single' && selectedAvatar && blendModel && (
+                <LoraBlendPicker
+                  avatars={avatars}
+                  avatar={selectedAvatar}
+                  model={blendModel}
+                  blend={blend}
+                  onChange={setBlend}
+                />
+              )}
             </div>
 
             {/* Prompt */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Prompt *
-              </label>
-              <textarea
-                name="prompt"
-                value={formData.prompt}
-                onChange={handleInputChange}
-                placeholder="Describe the image you want to generate..."
-                required
-                rows="3"
-                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-              {selectedAvatar && (
+            {mode === 'batch' ? (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Prompts *
+                </label>
+                {batchCsv ? (
+                  <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                    <p className="text-sm text-gray-600">
+                      <span className="font-medium">{batchCsv.name}</span> will be used for this batch
+                    </p>
+                    <button
+                      type="button"
+                      onClick={() => setBatchCsv(null)}
+                      className="text-sm text-red-600 hover:text-red-700"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ) : (
+                  <textarea
+                    value={batchPrompts}
+                    onChange={(e) => setBatchPrompts(e.target.value)}
+                    placeholder="One prompt per line..."
+                    rows="6"
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                )}
+                <div className="flex items-center justify-between mt-2">
+                  <p className="text-xs text-gray-500">
+                    {batchCsv ? 'CSV rows' : `${batchPromptLines.length} prompt(s)`} · one image each
+                  </p>
+                  <label className="text-sm text-blue-600 hover:text-blue-700 cursor-pointer">
+                    Upload CSV
+                    <input type="file" accept=".csv,text/csv" onChange={handleCsvUpload} className="hidden" />
+                  </label>
+                </div>
                 <p className="text-xs text-gray-500 mt-1">
-                  Tip: The trigger word "{selectedAvatar.triggerWord}" will be automatically added if not included in your prompt.
+                  CSV files need a "prompt" column; optional columns (aspect_ratio, seed, lora_scale, guidance_scale, num_inference_steps, output_format, go_fast) override the settings below per row.
                 </p>
-              )}
-            </div>
+              </div>
+            ) : (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Prompt *
+                </label>
+                <PromptTemplatePicker
+                  avatarId={formData.avatarId}
+                  currentPrompt={formData.prompt}
+                  onApply={(prompt) => setFormData(prev => ({ ...prev, prompt }))}
+                />
+                <textarea
+                  name="prompt"
+                  value={formData.prompt}
+                  onChange={handleInputChange}
+                  placeholder="Describe the image you want to generate..."
+                  required
+                  rows="3"
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <PromptSnippets
+                  onInsert={(reference) => setFormData(prev => ({ ...prev, prompt: `${prev.prompt.trimEnd()} ${reference}`.trimStart() }))}
+                />
+                <PromptPreview
+                  prompt={formData.prompt}
+                  avatarId={formData.avatarId}
+                  blend={mode === 'single' ? blend : NO_BLEND}
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Weight terms with (term:1.3) and end with --no followed by what to avoid.
+                  {selectedModel && promptSyntaxNote(selectedModel)}
+                </p>
+                {mode === 'single' && selectedModel?.supportsReferenceImage && (
+                  <ReferenceImageDropZone
+                    reference={reference}
+                    onChange={setReference}
+                    strength={formData.prompt_strength}
+                    strengthParameter={modelParameter('prompt_strength')}
+                    onStrengthChange={(promptStrength) => setFormData(prev => ({ ...prev, prompt_strength: promptStrength }))}
+                  />
+                )}
+              </div>
+            )}
 
             {/* Advanced Settings */}
             <div className="border-t pt-6">
               <h3 className="text-lg font-medium text-gray-900 mb-4">Advanced Settings</h3>
+
+              <PresetPicker
+                presets={presets}
+                onPresetsChange={setPresets}
+                formData={formData}
+                onApply={(settings) => setFormData(prev => ({ ...prev, ...fitSettings(selectedModel, settings) }))}
+                avatar={selectedAvatar}
+                onAvatarChange={handleAvatarUpdate}
+              />
               
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    LoRA Scale: {formData.lora_scale}
-                  </label>
-                  <input
-                    type="range"
-                    name="lora_scale"
-                    min="0"
-                    max="1"
-                    step="0.1"
-                    value={formData.lora_scale}
-                    onChange={handleInputChange}
-                    className="w-full"
-                  />
-                </div>
+                {modelParameter('lora_scale') && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      LoRA Scale: {formData.lora_scale}
+                    </label>
+                    <input
+                      type="range"
+                      name="lora_scale"
+                      min={modelParameter('lora_scale').min}
+                      max={modelParameter('lora_scale').max}
+                      step={modelParameter('lora_scale').step}
+                      value={formData.lora_scale}
+                      onChange={handleInputChange}
+                      className="w-full"
+                    />
+                  </div>
+                )}
 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Number of Images
-                  </label>
-                  <select
-                    name="num_outputs"
-                    value={formData.num_outputs}
-                    onChange={handleInputChange}
-                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  >
-                    <option value={1}>1</option>
-                    <option value={2}>2</option>
-                    <option value={3}>3</option>
-                    <option value={4}>4</option>
-                  </select>
-                </div>
+                {mode === 'single' && modelParameter('num_outputs') && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Number of Images
+                    </label>
+                    <select
+                      name="num_outputs"
+                      value={formData.num_outputs}
+                      onChange={handleInputChange}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {Array.from({ length: modelParameter('num_outputs').max }, (_, index) => index + 1).map(count => (
+                        <option key={count} value={count}>{count}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Aspect Ratio
-                  </label>
-                  <select
-                    name="aspect_ratio"
-                    value={formData.aspect_ratio}
-                    onChange={handleInputChange}
-                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  >
-                    <option value="1:1">Square (1:1)</option>
-                    <option value="16:9">Landscape (16:9)</option>
-                    <option value="9:16">Portrait (9:16)</option>
-                    <option value="4:3">Standard (4:3)</option>
-                    <option value="3:4">Portrait (3:4)</option>
-                    <option value="3:2">Photo (3:2)</option>
-                    <option value="2:3">Portrait Photo (2:3)</option>
-                  </select>
-                </div>
+                {modelParameter('aspect_ratio') && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Aspect Ratio
+                    </label>
+                    <select
+                      name="aspect_ratio"
+                      value={formData.aspect_ratio}
+                      onChange={handleInputChange}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {modelParameter('aspect_ratio').values.map(ratio => (
+                        <option key={ratio} value={ratio}>{ASPECT_RATIO_LABELS[ratio] || ratio}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Output Format
-                  </label>
-                  <select
-                    name="output_format"
-                    value={formData.output_format}
-                    onChange={handleInputChange}
-                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  >
-                    <option value="webp">WebP</option>
-                    <option value="jpg">JPEG</option>
-                    <option value="png">PNG</option>
-                  </select>
-                </div>
+                {modelParameter('output_format') && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Output Format
+                    </label>
+                    <select
+                      name="output_format"
+                      value={formData.output_format}
+                      onChange={handleInputChange}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {modelParameter('output_format').values.map(format => (
+                        <option key={format} value={format}>{OUTPUT_FORMAT_LABELS[format] || format}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Guidance Scale: {formData.guidance_scale}
-                  </label>
-                  <input
-                    type="range"
-                    name="guidance_scale"
-                    min="1"
-                    max="20"
-                    step="0.5"
-                    value={formData.guidance_scale}
-                    onChange={handleInputChange}
-                    className="w-full"
-                  />
-                </div>
+                {modelParameter('guidance_scale') && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Guidance Scale: {formData.guidance_scale}
+                    </label>
+                    <input
+                      type="range"
+                      name="guidance_scale"
+                      min={modelParameter('guidance_scale').min}
+                      max={modelParameter('guidance_scale').max}
+                      step={modelParameter('guidance_scale').step}
+                      value={formData.guidance_scale}
+                      onChange={handleInputChange}
+                      className="w-full"
+                    />
+                  </div>
+                )}
 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Inference Steps: {formData.num_inference_steps}
-                  </label>
-                  <input
-                    type="range"
-                    name="num_inference_steps"
-                    min="1"
-                    max="50"
-                    step="1"
-                    value={formData.num_inference_steps}
-                    onChange={handleInputChange}
-                    className="w-full"
-                  />
-                </div>
+                {modelParameter('num_inference_steps') && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Inference Steps: {formData.num_inference_steps}
+                    </label>
+                    <input
+                      type="range"
+                      name="num_inference_steps"
+                      min={modelParameter('num_inference_steps').min}
+                      max={modelParameter('num_inference_steps').max}
+                      step="1"
+                      value={formData.num_inference_steps}
+                      onChange={handleInputChange}
+                      className="w-full"
+                    />
+                  </div>
+                )}
 
                 <div className="md:col-span-2">
                   <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -394,23 +989,64 @@ const Generate = () => {
                   />
                 </div>
 
-                <div className="md:col-span-2">
-                  <label className="flex items-center">
-                    <input
-                      type="checkbox"
-                      name="go_fast"
-                      checked={formData.go_fast}
-                      onChange={handleInputChange}
-                      className="rounded border-gray-300 text-blue-600 shadow-sm focus:border-blue-300 focus:ring focus:ring-blue-200 focus:ring-opacity-50"
-                    />
-                    <span className="ml-2 text-sm text-gray-700">
-                      Fast generation (recommended)
-                    </span>
-                  </label>
-                </div>
+                {modelParameter('go_fast') && (
+                  <div className="md:col-span-2">
+                    <label className="flex items-center">
+                      <input
+                        type="checkbox"
+                        name="go_fast"
+                        checked={formData.go_fast}
+                        onChange={handleInputChange}
+                        className="rounded border-gray-300 text-blue-600 shadow-sm focus:border-blue-300 focus:ring focus:ring-blue-200 focus:ring-opacity-50"
+                      />
+                      <span className="ml-2 text-sm text-gray-700">
+                        Fast generation (recommended)
+                      </span>
+                    </label>
+                  </div>
+                )}
               </div>
             </div>
 
+            {/* Parameter Sweep */}
+            {mode === 'sweep' && (
+              <div className="border-t pt-6">
+                <h3 className="text-lg font-medium text-gray-900 mb-4">Parameter Sweep</h3>
+                <div className="space-y-4">
+                  <p className="text-xs text-gray-500">
+                    Generates one image per combination at a single seed. Swept values override the settings above.
+                  </p>
+                  {[['x', 'Columns'], ['y', 'Rows']].map(([axis, label]) => (
+                    <div key={axis}>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        {label}
+                      </label>
+                      <div className="flex gap-2">
+                        <select
+                          name={`${axis}Parameter`}
+                          value={sweepAxes[`${axis}Parameter`]}
+                          onChange={handleSweepChange}
+                          className="border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {sweepParameters.map(parameter => (
+                            <option key={parameter} value={parameter}>{sweepParameterLabel(parameter)}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          name={`${axis}Values`}
+                          value={sweepAxes[`${axis}Values`]}
+                          onChange={handleSweepChange}
+                          placeholder="e.g. 0.6, 0.8, 1"
+                          className="flex-1 min-w-0 border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {error && (
               <div className="bg-red-50 border border-red-200 rounded-lg p-4">
                 <p className="text-red-800">{error}</p>
@@ -428,29 +1064,104 @@ const Generate = () => {
                   <span className="ml-2">Generating...</span>
                 </div>
               ) : (
-                'Generate Images'
+                { single: 'Generate Images', sweep: 'Run Sweep', batch: 'Queue Batch' }[mode]
               )}
             </button>
+
+            {loading && activeJob && (
+              <button
+                type="button"
+                onClick={handleCancel}
+                disabled={canceling}
+                className="w-full bg-white hover:bg-red-50 disabled:opacity-50 text-red-600 border border-red-300 font-medium py-3 px-4 rounded-lg transition-colors"
+              >
+                {canceling ? 'Canceling...' : 'Cancel Generation'}
+              </button>
+            )}
           </form>
         </div>
 
         {/* Generated Images - 2/3 width */}
         <div className="lg:col-span-2 bg-white rounded-lg shadow-md p-6">
-          {(generatedImages.length > 0 || loading) && (
-            <h2 className="text-xl font-semibold text-gray-900 mb-4">Generated Images</h2>
+          {pendingReviewCount > 0 && (
+            <PostProcessingOptions value={postProcessing} onChange={setPostProcessing} />
+          )}
+
+          {(generatedImages.length > 0 || loading || activeJob?.sweep) && (
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold text-gray-900">
+                {activeJob?.sweep ? 'Parameter Sweep' : activeJob?.kind === 'BATCH' ? 'Batch Results' : 'Generated Images'}
+              </h2>
+              {pendingReviewCount > 1 && (
+                <button
+                  onClick={handleApproveAll}
+                  disabled={approvingAll}
+                  className="bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white text-sm px-3 py-1 rounded-lg transition-colors"
+                >
+                  {approvingAll ? 'Approving...' : `👍 Like All (${pendingReviewCount})`}
+                </button>
+              )}
+            </div>
           )}
           
           {loading && (
-            <div className="flex items-center justify-center py-12">
-              <div className="text-center">
-                <LoadingSpinner />
-                <p className="text-gray-600 mt-4">Generating your images...</p>
-                <p className="text-sm text-gray-500 mt-2">This usually takes 30-60 seconds</p>
+            <div className="mb-6">
+              <div className="flex items-center mb-4">
+                <LoadingSpinner size="sm" />
+                <p className="text-gray-600 ml-3">
+                  {activeJob?.status === 'QUEUED' ? 'Waiting in the generation queue...' : 'Generating your images...'}
+                </p>
               </div>
+
+              {activeJob?.kind === 'BATCH' && activeJob.predictions && (
+                <div>
+                  <div className="flex justify-between text-sm text-gray-600 mb-1">
+                    <span>{finishedPredictions} of {activeJob.predictions.length} prompts finished</span>
+                    {failedPredictions > 0 && (
+                      <span className="text-red-600">{failedPredictions} failed</span>
+                    )}
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div
+                      className="h-2 rounded-full transition-all duration-300 bg-blue-600"
+                      style={{ width: `${Math.round((finishedPredictions / activeJob.predictions.length) * 100)}%` }}
+                    />
+                  </div>
+                </div>
+              )}
+
+              {activeJob?.predictions && !activeJob.sweep && activeJob.kind !== 'BATCH' && (
+                <div className="space-y-2">
+                  {activeJob.predictions.map((prediction) => (
+                    <div key={prediction.id}>
+                      <div className="flex justify-between text-sm text-gray-600 mb-1">
+                        <span>Image {prediction.position + 1}</span>
+                        <span>{predictionStageLabel(prediction)}</span>
+                      </div>
+                      <div className="w-full bg-gray-200 rounded-full h-2">
+                        <div
+                          className={`h-2 rounded-full transition-all duration-300 ${prediction.status === 'FAILED' ? 'bg-red-500' : 'bg-blue-600'}`}
+                          style={{ width: `${prediction.status === 'SUCCEEDED' ? 100 : Math.round((prediction.progress || 0) * 100)}%` }}
+                        />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {generationLogs.length > 0 && (
+                <pre className="mt-4 bg-gray-900 text-gray-100 text-xs rounded-lg p-3 overflow-x-auto">
+                  {generationLogs.join('\n')}
+                </pre>
+              )}
             </div>
           )}
 
-          {generatedImages.length > 0 && !loading && (
+          {activeJob?.sweep && (
+            <SweepGrid job={activeJob} images={generatedImages} onSelect={setSelectedImage} />
+          )}
+
+          {generatedImages.length > 0 && !activeJob?.sweep && (
             <div className="grid grid-cols-2 gap-4">
               {generatedImages.map((image, index) => (
                 <div key={image.id} className={`border rounded-lg overflow-hidden group relative ${image.isPendingReview ? 'ring-2 ring-orange-200' : ''}`}>
@@ -458,8 +1169,8 @@ const Generate = () => {
                     {/* Pending Review Badge */}
                     {image.isPendingReview && (
                       <div className="absolute top-2 left-2 z-10">
-                        <span className="bg-orange-500 text-white text-xs px-2 py-1 rounded-full">
-                          Pending Review
+                        <span className={`${image.reviewStatus === 'UPLOAD_FAILED' ? 'bg-red-500' : 'bg-orange-500'} text-white text-xs px-2 py-1 rounded-full`}>
+                          {image.reviewStatus === 'UPLOAD_FAILED' ? 'Upload Failed - Retry' : 'Pending Review'}
                         </span>
                       </div>
                     )}
@@ -499,7 +1210,7 @@ const Generate = () => {
                           <button
                             onClick={() => handleLike(image.id)}
                             className="p-2 bg-green-500 text-white rounded-full hover:bg-green-600 transition-colors"
-                            title="Like (Save to GitHub)"
+                            title="Like (Save)"
                           >
                             <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
@@ -536,6 +1247,26 @@ const Generate = () => {
                               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
                             </svg>
                           </button>
+                          <button
+                            onClick={() => handleRemix(image)}
+                            className="p-2 bg-white rounded-full hover:bg-gray-100 transition-colors"
+                            title="Remix (Pre-fill form)"
+                          >
+                            <svg className="w-4 h-4 text-gray-700" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                            </svg>
+                          </button>
+                          {selectedModel?.supportsReferenceImage && (
+                            <button
+                              onClick={() => handleUseAsReference(image)}
+                              className="p-2 bg-white rounded-full hover:bg-gray-100 transition-colors"
+                              title="Use as Reference"
+                            >
+                              <svg className="w-4 h-4 text-gray-700" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                              </svg>
+                            </button>
+                          )}
                         </div>
                       )}
                     </div>
@@ -608,73 +1339,94 @@ const Generate = () => {
 
       {/* Image Preview Modal */}
       {selectedImage && (
-        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50" onClick={() => setSelectedImage(null)}>
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50" onClick={closePreview}>
           <div className="max-w-4xl max-h-[90vh] mx-4" onClick={(e) => e.stopPropagation()}>
             <div className="bg-white rounded-lg overflow-hidden">
-              <img
-                src={selectedImage.imageUrl}
-                alt={selectedImage.prompt}
-                className="w-full h-auto max-h-[70vh] object-contain"
-              />
-              <div className="p-6">
-                <h3 className="text-lg font-semibold text-gray-900 mb-2">Generated Image</h3>
-                <p className="text-gray-600 mb-3">{selectedImage.prompt}</p>
-                {selectedImage.avatar && (
-                  <p className="text-sm text-blue-600 mb-3">
-                    Avatar: {selectedImage.avatar.fullName} ({selectedImage.avatar.triggerWord})
-                  </p>
-                )}
-                <p className="text-sm text-gray-500 mb-4">
-                  Created: {new Date(selectedImage.createdAt).toLocaleDateString()}
-                </p>
+              {editing ? (
+                <div className="p-6">
+                  <h3 className="text-lg font-semibold text-gray-900 mb-3">Edit Region</h3>
+                  <InpaintEditor
+                    image={selectedImage}
+                    onQueued={handleEditQueued}
+                    onCancel={() => setEditing(false)}
+                  />
+                </div>
+              ) : (
+                <>
+                  <img
+                    src={selectedImage.imageUrl}
+                    alt={selectedImage.prompt}
+                    className="w-full h-auto max-h-[70vh] object-contain"
+                  />
+                  <div className="p-6">
+                    <h3 className="text-lg font-semibold text-gray-900 mb-2">Generated Image</h3>
+                    <PromptDetails image={selectedImage} />
+                    {selectedImage.avatar && (
+                      <p className="text-sm text-blue-600 mb-3">
+                        Avatar: {selectedImage.avatar.fullName} ({selectedImage.avatar.triggerWord})
+                      </p>
+                    )}
+                    <p className="text-sm text-gray-500 mb-4">
+                      Created: {new Date(selectedImage.createdAt).toLocaleDateString()}
+                    </p>
                 
-                <div className="flex space-x-3">
-                  {selectedImage.isPendingReview ? (
-                    <>
-                      <button
-                        onClick={() => {
-                          handleLike(selectedImage.id);
-                          setSelectedImage(null);
-                        }}
-                        className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg transition-colors"
-                      >
-                        👍 Like (Save to GitHub)
-                      </button>
-                      <button
-                        onClick={() => {
-                          handleReviewDownload(selectedImage.id);
-                          setSelectedImage(null);
-                        }}
-                        className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors"
-                      >
-                        ⬇️ Download
-                      </button>
+                    <div className="flex space-x-3">
+                      {selectedImage.isPendingReview ? (
+                        <>
+                          <button
+                            onClick={() => {
+                              handleLike(selectedImage.id);
+                              setSelectedImage(null);
+                            }}
+                            className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg transition-colors"
+                          >
+                            👍 Like (Save)
+                          </button>
+                          <button
+                            onClick={() => {
+                              handleReviewDownload(selectedImage.id);
+                              setSelectedImage(null);
+                            }}
+                            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors"
+                          >
+                            ⬇️ Download
+                          </button>
+                          <button
+                            onClick={() => {
+                              handleDislike(selectedImage.id);
+                              setSelectedImage(null);
+                            }}
+                            className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg transition-colors"
+                          >
+                            👎 Dislike
+                          </button>
+                        </>
+                      ) : (
+                        <button
+                          onClick={() => handleRegularDownload(selectedImage.imageUrl, selectedImage.prompt)}
+                          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors"
+                        >
+                          Download
+                        </button>
+                      )}
+                      {previewModel?.inpaintModel && (
+                        <button
+                          onClick={() => setEditing(true)}
+                          className="bg-pink-600 hover:bg-pink-700 text-white px-4 py-2 rounded-lg transition-colors"
+                        >
+                          Edit Region
+                        </button>
+                      )}
                       <button
-                        onClick={() => {
-                          handleDislike(selectedImage.id);
-                          setSelectedImage(null);
-                        }}
-                        className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg transition-colors"
+                        onClick={closePreview}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-lg transition-colors"
                       >
-                        👎 Dislike
+                        Close
                       </button>
-                    </>
-                  ) : (
-                    <button
-                      onClick={() => handleRegularDownload(selectedImage.imageUrl, selectedImage.prompt)}
-                      className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors"
-                    >
-                      Download
-                    </button>
-                  )}
-                  <button
-                    onClick={() => setSelectedImage(null)}
-                    className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-lg transition-colors"
-                  >
-                    Close
-                  </button>
-                </div>
-              </div>
+                    </div>
+                  </div>
+                </>
+              )}
             </div>
           </div>
         </div>
@@ -1,8 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
-import { avatarAPI } from '../utils/api';
+import { avatarAPI, modelAPI } from '../utils/api';
 import LoadingSpinner from '../components/LoadingSpinner';
 
+// How an avatar's trigger word is placed when a prompt doesn't contain it
+const TRIGGER_PLACEMENTS = {
+  PREPEND: 'Add to the start of the prompt',
+  APPEND: 'Add to the end of the prompt',
+  TOKEN: 'Only where @avatar is written',
+  EXPLICIT: 'Require it in the prompt'
+};
+
 const Profile = () => {
   const { user, updateProfile } = useAuth();
   const [profileData, setProfileData] = useState({
@@ -15,9 +23,13 @@ const Profile = () => {
     fullName: '',
     replicateModelUrl: '',
     triggerWord: '',
+    triggerPlacement: 'PREPEND',
     description: '',
-    visible: true
+    visible: true,
+    baseModel: ''
   });
+  const [models, setModels] = useState([]);
+  const [defaultModel, setDefaultModel] = useState('');
   const [loading, setLoading] = useState(false);
   const [avatarsLoading, setAvatarsLoading] = useState(true);
   const [error, setError] = useState('');
@@ -36,8 +48,13 @@ const Profile = () => {
   const fetchAvatars = async () => {
     try {
       setAvatarsLoading(true);
-      const response = await avatarAPI.getAll();
+      const [response, modelsResponse] = await Promise.all([
+        avatarAPI.getAll(),
+        modelAPI.getAll()
+      ]);
       setAvatars(response.data.avatars);
+      setModels(modelsResponse.data.models);
+      setDefaultModel(modelsResponse.data.defaultModel);
     } catch (error) {
       console.error('Failed to fetch avatars:', error);
       setError('Failed to load avatars');
@@ -73,11 +90,13 @@ const Profile = () => {
     setSuccess('');
 
     try {
+      const avatarData = { ...avatarForm, baseModel: avatarForm.baseModel || defaultModel };
+
       if (editingAvatar) {
-        await avatarAPI.update(editingAvatar.id, avatarForm);
+        await avatarAPI.update(editingAvatar.id, avatarData);
         setSuccess('Avatar updated successfully');
       } else {
-        await avatarAPI.create(avatarForm);
+        await avatarAPI.create(avatarData);
         setSuccess('Avatar created successfully');
       }
       
@@ -86,8 +105,10 @@ const Profile = () => {
       fullName: '',
       replicateModelUrl: '',
       triggerWord: '',
+      triggerPlacement: 'PREPEND',
       description: '',
-      visible: true
+      visible: true,
+      baseModel: ''
     });
       setShowAvatarForm(false);
       setEditingAvatar(null);
@@ -105,8 +126,10 @@ const Profile = () => {
         fullName: avatar.fullName,
         replicateModelUrl: avatar.replicateModelUrl,
         triggerWord: avatar.triggerWord,
+        triggerPlacement: avatar.triggerPlacement || 'PREPEND',
         description: avatar.description || '',
-        visible: avatar.visible
+        visible: avatar.visible,
+        baseModel: avatar.baseModel
       });
     setShowAvatarForm(true);
   };
@@ -130,8 +153,10 @@ const Profile = () => {
       fullName: '',
       replicateModelUrl: '',
       triggerWord: '',
+      triggerPlacement: 'PREPEND',
       description: '',
-      visible: true
+      visible: true,
+      baseModel: ''
     });
     setShowAvatarForm(false);
     setEditingAvatar(null);
@@ -261,8 +286,9 @@ const Profile = () => {
                   </div>
                 </div>
                 <div className="space-y-2 text-sm text-gray-600">
-                  <p><span className="font-medium">Trigger Word:</span> {avatar.triggerWord}</p>
+                  <p><span className="font-medium">Trigger Word:</span> {avatar.triggerWord} <span className="text-gray-400">({TRIGGER_PLACEMENTS[avatar.triggerPlacement] || TRIGGER_PLACEMENTS.PREPEND})</span></p>
                   <p><span className="font-medium">Replicate Model URL:</span> {avatar.replicateModelUrl}</p>
+                  <p><span className="font-medium">Base Model:</span> {models.find(model => model.id === avatar.baseModel)?.label || avatar.baseModel}</p>
                   {avatar.description && (
                     <p><span className="font-medium">Description:</span> {avatar.description}</p>
                   )}
@@ -322,6 +348,24 @@ const Profile = () => {
                 </p>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Base Model
+                </label>
+                <select
+                  value={avatarForm.baseModel || defaultModel}
+                  onChange={(e) => setAvatarForm(prev => ({ ...prev, baseModel: e.target.value }))}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {models.filter(model => !model.blendOnly && !model.inpaintOnly).map(model => (
+                    <option key={model.id} value={model.id}>{model.label}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  The model this avatar's LoRA was trained for
+                </p>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Trigger Word *
@@ -339,6 +383,24 @@ const Profile = () => {
                 </p>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Trigger Word Placement
+                </label>
+                <select
+                  value={avatarForm.triggerPlacement}
+                  onChange={(e) => setAvatarForm(prev => ({ ...prev, triggerPlacement: e.target.value }))}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {Object.entries(TRIGGER_PLACEMENTS).map(([placement, label]) => (
+                    <option key={placement} value={placement}>{label}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  Used when a prompt doesn't already contain the trigger word; @avatar is always replaced by it
+                </p>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Description
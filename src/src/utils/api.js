@@ -46,26 +46,113 @@ api.interceptors.response.use(
   }
 );
 
+// Read a Server-Sent Events stream. Uses fetch rather than EventSource so the
+// Authorization header can be sent; resolves when the server closes the stream.
+const streamEvents = async (path, onEvent, signal) => {
+  const token = localStorage.getItem('token');
+  const response = await fetch(`${BASE_URL}${path}`, {
+    headers: {
+      Accept: 'text/event-stream',
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    signal
+  });
+
+  if (!response.ok || !response.body) {
+    throw new Error(`Event stream failed with status ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+
+    messages.forEach((message) => {
+      let type = 'message';
+      const data = [];
+      message.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) type = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+      });
+      if (data.length > 0) {
+        onEvent(type, JSON.parse(data.join('\n')));
+      }
+    });
+  }
+};
+
 // Avatar API
 export const avatarAPI = {
   getAll: () => api.get('/avatars'),
   getById: (id) => api.get(`/avatars/${id}`),
   create: (data) => api.post('/avatars', data),
   update: (id, data) => api.put(`/avatars/${id}`, data),
-  delete: (id) => api.delete(`/avatars/${id}`)
+  delete: (id) => api.delete(`/avatars/${id}`),
+  setDefaultPreset: (id, presetId) => api.put(`/avatars/${id}/default-preset`, { presetId })
 };
 
 // Image API
 export const imageAPI = {
   generate: (data) => api.post('/images/generate', data),
+  sweep: (data) => api.post('/images/sweep', data),
+  batch: (data) => api.post('/images/batch', data),
+  previewPrompt: (data) => api.post('/images/preview-prompt', data),
   getHistory: (page = 1, limit = 20) => 
     api.get(`/images/history?page=${page}&limit=${limit}`),
   getById: (id) => api.get(`/images/${id}`),
   delete: (id) => api.delete(`/images/${id}`),
+  remix: (id, overrides = {}) => api.post(`/images/${id}/remix`, overrides),
+  inpaint: (id, data) => api.post(`/images/${id}/inpaint`, data),
+  getLineage: (id) => api.get(`/images/${id}/lineage`),
+  // Generation jobs
+  getJobs: (limit = 10) => api.get(`/images/jobs?limit=${limit}`),
+  getJob: (id) => api.get(`/images/jobs/${id}`),
+  cancelJob: (id) => api.post(`/images/jobs/${id}/cancel`),
+  streamJob: (id, onEvent, signal) => streamEvents(`/images/jobs/${id}/events`, onEvent, signal),
   // Review actions
-  like: (id) => api.post(`/images/${id}/like`),
+  // `postProcess` stores an upscaled/cropped/converted variant too
+  like: (id, postProcess) => api.post(`/images/${id}/like`, { postProcess }),
+  likeMany: (imageIds, postProcess) => api.post('/images/like', { imageIds, postProcess }),
   dislike: (id) => api.post(`/images/${id}/dislike`),
-  download: (id) => api.post(`/images/${id}/download`)
+  download: (id, postProcess) => api.post(`/images/${id}/download`, { postProcess })
+};
+
+// Base model registry API
+export const modelAPI = {
+  getAll: () => api.get('/models')
+};
+
+// Generation preset API
+export const presetAPI = {
+  getAll: () => api.get('/presets'),
+  create: (data) => api.post('/presets', data),
+  update: (id, data) => api.put(`/presets/${id}`, data),
+  delete: (id) => api.delete(`/presets/${id}`)
+};
+
+// Prompt template API
+export const promptAPI = {
+  getAll: () => api.get('/prompts'),
+  getById: (id) => api.get(`/prompts/${id}`),
+  create: (data) => api.post('/prompts', data),
+  update: (id, data) => api.put(`/prompts/${id}`, data),
+  delete: (id) => api.delete(`/prompts/${id}`),
+  render: (id, data) => api.post(`/prompts/${id}/render`, data)
+};
+
+// Prompt snippet API
+export const snippetAPI = {
+  getAll: () => api.get('/snippets'),
+  create: (data) => api.post('/snippets', data),
+  update: (id, data) => api.put(`/snippets/${id}`, data),
+  delete: (id) => api.delete(`/snippets/${id}`)
 };
 
 // User API